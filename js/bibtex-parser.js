@@ -1,11 +1,385 @@
 /**
  * BibTeX解析器
  * 用于解析BibTeX格式的文献引用
+ * 基于逐字符扫描的词法分析，支持嵌套花括号、引号值、数字值、
+ * @string 宏展开（含月份缩写）以及 # 字符串拼接
  */
 class BibtexParser {
   constructor() {
     this.entries = [];
     this.errors = [];
+    this.strings = {};
+    this.preambles = [];
+  }
+
+  /**
+   * 支持的条目类型
+   */
+  static get ENTRY_TYPES() {
+    return ['article', 'inproceedings', 'conference', 'book', 'techreport', 'phdthesis', 'mastersthesis', 'misc', 'unpublished'];
+  }
+
+  /**
+   * 预定义的月份宏
+   */
+  static get MONTH_MACROS() {
+    return {
+      jan: 'January', feb: 'February', mar: 'March', apr: 'April',
+      may: 'May', jun: 'June', jul: 'July', aug: 'August',
+      sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+    };
+  }
+
+  /**
+   * 不做 LaTeX 转换的字段（链接、标识符等）
+   */
+  static get VERBATIM_FIELDS() {
+    return ['url', 'doi', 'eprint', 'file', 'pdf', 'code', 'github', 'archiveprefix', 'primaryclass', 'isbn', 'issn'];
+  }
+
+  /**
+   * LaTeX 重音命令对应的 Unicode 组合字符
+   */
+  static get LATEX_ACCENTS() {
+    return {
+      "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308',
+      '~': '\u0303', '=': '\u0304', '.': '\u0307', 'u': '\u0306',
+      'v': '\u030C', 'H': '\u030B', 'c': '\u0327', 'k': '\u0328',
+      'r': '\u030A', 'd': '\u0323', 'b': '\u0331'
+    };
+  }
+
+  /**
+   * LaTeX 文本/数学命令对应的 Unicode 字符
+   */
+  static get LATEX_SYMBOLS() {
+    return {
+      // 特殊字母
+      i: 'ı', j: 'ȷ', ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ',
+      aa: 'å', AA: 'Å', l: 'ł', L: 'Ł',
+      // 文本符号
+      textendash: '–', textemdash: '—', ldots: '…', dots: '…', textellipsis: '…',
+      textquoteleft: '‘', textquoteright: '’', textquotedblleft: '“', textquotedblright: '”',
+      textregistered: '®', copyright: '©', textcopyright: '©', texttrademark: '™',
+      S: '§', P: '¶', dag: '†', ddag: '‡', textbullet: '•', textdegree: '°',
+      textasciitilde: '~', textbackslash: '\\', textunderscore: '_', LaTeX: 'LaTeX', TeX: 'TeX',
+      // 希腊字母
+      alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε',
+      zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+      lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+      tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+      Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+      Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+      // 数学符号
+      times: '×', pm: '±', mp: '∓', cdot: '·', div: '÷', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+      neq: '≠', ne: '≠', approx: '≈', sim: '∼', equiv: '≡', infty: '∞', partial: '∂',
+      nabla: '∇', sum: '∑', prod: '∏', int: '∫', sqrt: '√', in: '∈', subset: '⊂',
+      cup: '∪', cap: '∩', forall: '∀', exists: '∃', ell: 'ℓ', circ: '∘',
+      rightarrow: '→', to: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+      uparrow: '↑', downarrow: '↓', star: '⋆', ast: '∗'
+    };
+  }
+
+  /**
+   * 将 LaTeX 文本转换为用于显示的 Unicode 纯文本
+   * 处理重音、特殊字符、转义字符、破折号、引号、简单行内公式及保护大小写的花括号
+   * @param {string} value 原始字段值
+   * @returns {string} 转换后的文本
+   */
+  static latexToUnicode(value) {
+    if (!value) return '';
+
+    const symbols = BibtexParser.LATEX_SYMBOLS;
+    const accents = BibtexParser.LATEX_ACCENTS;
+    // 使用私有区字符暂存转义字符，避免被后续规则误处理
+    const escapes = { '{': '\uE000', '}': '\uE001', '$': '\uE002', '&': '\uE003', '%': '\uE004', '#': '\uE005', '_': '\uE006' };
+
+    let text = String(value).replace(/\\([{}$&%#_])/g, (m, char) => escapes[char]);
+
+    // 行内公式：$...$
+    text = text.replace(/\$([^$]*)\$/g, (m, math) => BibtexParser.convertMath(math));
+
+    // 重音命令：\'e, \'{e}, {\'e}, \"{\i}, \c{c}, \v s
+    const resolveBase = base => (base === '\\i' ? 'i' : base === '\\j' ? 'j' : base);
+    text = text.replace(/\\([`'^"~=.])\s*(?:\{\s*(\\[ij]|[a-zA-Z]?)\s*\}|(\\[ij](?![a-zA-Z])|[a-zA-Z]))/g,
+      (m, accent, braced, bare) => (resolveBase(braced !== undefined ? braced : bare) || ' ') + accents[accent]);
+    text = text.replace(/\\([uvHckrdb])(?:\s*\{\s*(\\[ij]|[a-zA-Z]?)\s*\}|\s+(\\[ij](?![a-zA-Z])|[a-zA-Z]))/g,
+      (m, accent, braced, bare) => (resolveBase(braced !== undefined ? braced : bare) || ' ') + accents[accent]);
+
+    // 带参数的格式命令只保留内容：\textbf{x}, \emph{x}
+    let previous;
+    do {
+      previous = text;
+      text = text.replace(/\\(?:text(?:bf|it|sl|sc|tt|rm|sf|up|normal)|emph|mathrm|mathbf|mathit|mathcal|mathbb|mathsf|mathtt|boldsymbol|url|href\{[^{}]*\})\s*\{([^{}]*)\}/g, '$1');
+    } while (text !== previous);
+
+    // 其余命令：已知符号替换，未知命令移除
+    text = text.replace(/\\([a-zA-Z]+)\s*(\{\s*\})?/g, (m, name) => (
+      Object.prototype.hasOwnProperty.call(symbols, name) ? symbols[name] : ''
+    ));
+    text = text.replace(/\\[,;:! ]/g, ' ').replace(/\\\\/g, ' ');
+
+    // 破折号、引号、不换行空格
+    text = text
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/``/g, '“')
+      .replace(/''/g, '”')
+      .replace(/~/g, '\u00A0');
+
+    // 去除保护大小写的花括号，并还原转义字符
+    text = text.replace(/[{}]/g, '');
+    Object.keys(escapes).forEach(char => {
+      text = text.split(escapes[char]).join(char);
+    });
+
+    return text.normalize('NFC').replace(/[ \t\r\n]+/g, ' ').trim();
+  }
+
+  /**
+   * 转换简单的行内公式内容
+   * @param {string} math 公式内容（不含 $）
+   * @returns {string} 转换后的文本
+   */
+  static convertMath(math) {
+    const symbols = BibtexParser.LATEX_SYMBOLS;
+    const superscripts = { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ' };
+    const subscripts = { '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉', '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', 'a': 'ₐ', 'e': 'ₑ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'n': 'ₙ', 'o': 'ₒ', 't': 'ₜ', 'x': 'ₓ' };
+
+    // 先替换命令，便于上下标映射
+    let text = math.replace(/\\([a-zA-Z]+)/g, (m, name) => (
+      Object.prototype.hasOwnProperty.call(symbols, name) ? symbols[name] : m
+    ));
+
+    const mapScript = (chars, table, marker) => {
+      const mapped = Array.from(chars).map(char => table[char]);
+      return mapped.every(Boolean) ? mapped.join('') : `${marker}${chars}`;
+    };
+
+    text = text.replace(/\^(?:\{([^{}]*)\}|(.))/g, (m, braced, single) => mapScript(braced !== undefined ? braced : single, superscripts, '^'));
+    text = text.replace(/_(?:\{([^{}]*)\}|(.))/g, (m, braced, single) => mapScript(braced !== undefined ? braced : single, subscripts, '_'));
+
+    return text;
+  }
+
+  /**
+   * 按顶层（花括号外）分隔符切分字符串
+   * @param {string} text 输入文本
+   * @param {RegExp} separator 分隔符正则（需带 y 标志）
+   * @returns {Array<string>} 切分结果
+   */
+  static splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '{') depth++;
+      else if (char === '}') depth = Math.max(0, depth - 1);
+      else if (depth === 0) {
+        separator.lastIndex = i;
+        const match = separator.exec(text);
+        if (match) {
+          parts.push(text.slice(start, i));
+          start = i + match[0].length;
+          i = start - 1;
+        }
+      }
+    }
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  /**
+   * 解析作者/编者列表，按 BibTeX 规则拆分为结构化姓名
+   * @param {string} value 原始（LaTeX）author 字段
+   * @returns {Array<{first: string, von: string, last: string, jr: string, others: boolean}>} 姓名对象数组
+   */
+  static parseNames(value) {
+    if (!value) return [];
+
+    return BibtexParser.splitTopLevel(value.trim(), /\s+and\s+/iy)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => BibtexParser.parseName(part));
+  }
+
+  /**
+   * 解析单个姓名，支持 "First von Last"、"von Last, First" 与 "von Last, Jr, First" 三种形式
+   * @param {string} raw 原始姓名
+   * @returns {{first: string, von: string, last: string, jr: string, others: boolean}} 姓名对象
+   */
+  static parseName(raw) {
+    const name = { first: '', von: '', last: '', jr: '', others: false };
+    if (raw.toLowerCase() === 'others') {
+      name.others = true;
+      return name;
+    }
+
+    const words = text => BibtexParser.splitTopLevel(text.trim(), /\s+/y).filter(Boolean);
+    const commaParts = BibtexParser.splitTopLevel(raw, /\s*,\s*/y);
+    let firstWords = [];
+    let vonLastWords;
+    let jrWords = [];
+
+    if (commaParts.length === 1) {
+      // First von Last：第一个小写开头的词起为 von，最后一个小写词之后为 Last
+      const all = words(raw);
+      const lowerIndexes = all
+        .map((word, index) => (index < all.length - 1 && BibtexParser.isLowerCaseWord(word) ? index : -1))
+        .filter(index => index !== -1);
+
+      if (lowerIndexes.length > 0) {
+        firstWords = all.slice(0, lowerIndexes[0]);
+        vonLastWords = all.slice(lowerIndexes[0]);
+      } else {
+        firstWords = all.slice(0, -1);
+        vonLastWords = all.slice(-1);
+      }
+    } else {
+      vonLastWords = words(commaParts[0]);
+      if (commaParts.length === 2) {
+        firstWords = words(commaParts[1]);
+      } else {
+        jrWords = words(commaParts[1]);
+        firstWords = words(commaParts.slice(2).join(', '));
+      }
+    }
+
+    // von 部分为 Last 之前连续的小写词，Last 至少保留一个词
+    let lastStart = 0;
+    for (let i = 0; i < vonLastWords.length - 1; i++) {
+      if (BibtexParser.isLowerCaseWord(vonLastWords[i])) lastStart = i + 1;
+    }
+
+    const toText = list => BibtexParser.latexToUnicode(list.join(' '));
+    name.first = toText(firstWords);
+    name.von = toText(vonLastWords.slice(0, lastStart));
+    name.last = toText(vonLastWords.slice(lastStart));
+    name.jr = toText(jrWords);
+    return name;
+  }
+
+  /**
+   * 判断词是否以小写字母开头（花括号内的字母不计，特殊字符命令按其字母判断）
+   * @param {string} word 词
+   * @returns {boolean} 是否为小写词
+   */
+  static isLowerCaseWord(word) {
+    let depth = 0;
+    for (let i = 0; i < word.length; i++) {
+      const char = word[i];
+      if (char === '{') {
+        // {\'e} 这类特殊字符按其中的字母判断大小写
+        if (depth === 0 && word[i + 1] === '\\') {
+          const letter = BibtexParser.latexToUnicode(word.slice(i)).match(/\p{L}/u);
+          return letter ? letter[0] === letter[0].toLowerCase() && letter[0] !== letter[0].toUpperCase() : false;
+        }
+        depth++;
+      } else if (char === '}') {
+        depth--;
+      } else if (depth === 0 && /\p{L}/u.test(char)) {
+        return char === char.toLowerCase() && char !== char.toUpperCase();
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 将名字缩写为首字母，保留连字符："Chao-Feng" -> "C.-F."
+   * @param {string} first 名字
+   * @returns {string} 缩写
+   */
+  static abbreviateFirst(first) {
+    return first
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => part
+        .split('-')
+        .map(piece => {
+          const letter = Array.from(piece)[0];
+          return letter ? `${letter}.` : '';
+        })
+        .join('-'))
+      .join(' ');
+  }
+
+  /**
+   * 按指定格式输出姓名
+   * @param {Object} name 姓名对象
+   * @param {string} format 格式：'full'（First Last）、'initials'（F. Last）、'last-initials'（Last, F.）
+   * @returns {string} 格式化后的姓名
+   */
+  static formatName(name, format = 'full') {
+    if (name.others) return 'et al.';
+
+    const lastPart = [name.von, name.last].filter(Boolean).join(' ');
+    const jr = name.jr ? `, ${name.jr}` : '';
+
+    if (format === 'initials') {
+      return [BibtexParser.abbreviateFirst(name.first), lastPart].filter(Boolean).join(' ') + jr;
+    }
+    if (format === 'last-initials') {
+      const initials = BibtexParser.abbreviateFirst(name.first);
+      return initials ? `${lastPart}${jr}, ${initials}` : `${lastPart}${jr}`;
+    }
+    return [name.first, lastPart].filter(Boolean).join(' ') + jr;
+  }
+
+  /**
+   * 生成用于匹配的规范化姓名键（"First von Last"，忽略大小写与多余空白）
+   * 可传入姓名对象或任意书写形式的姓名字符串
+   * @param {Object|string} name 姓名对象或字符串
+   * @returns {string} 规范化键
+   */
+  static nameKey(name) {
+    const parsed = typeof name === 'string' ? BibtexParser.parseName(name.trim()) : name;
+    if (parsed.others) return '';
+    return [parsed.first, parsed.von, parsed.last]
+      .filter(Boolean)
+      .join(' ')
+      .normalize('NFC')
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+  }
+
+  /**
+   * 格式化作者列表，超过阈值时截断为 "et al."
+   * @param {Array} names 姓名对象数组
+   * @param {Object} options 选项：format 姓名格式，maxAuthors 最多显示人数（0 表示不截断）
+   * @returns {{names: Array, truncated: boolean}} 需显示的姓名及是否被截断
+   */
+  static truncateNames(names, options = {}) {
+    const maxAuthors = options.maxAuthors || 0;
+    const explicitOthers = names.some(name => name.others);
+    const realNames = names.filter(name => !name.others);
+
+    if (maxAuthors > 0 && realNames.length > maxAuthors) {
+      return { names: realNames.slice(0, maxAuthors), truncated: true };
+    }
+    return { names: realNames, truncated: explicitOthers };
+  }
+
+  /**
+   * 将条目重新输出为规范化的 BibTeX 文本
+   * 保留原始字段顺序与字段名大小写，宏与拼接均已展开，每个字段值使用花括号包围
+   * 网站自定义的 x- 字段（如 x-image）默认不输出
+   * @param {Object} entry 解析后的条目
+   * @param {Object} options 选项：indent 缩进字符串；custom 为 true 时保留 x- 字段
+   * @returns {string} BibTeX 文本
+   */
+  static toBibtex(entry, options = {}) {
+    const indent = options.indent || '  ';
+    const raw = entry.raw || {};
+    const names = entry.fieldNames || Object.keys(raw);
+
+    const lines = names
+      .filter(name => raw[name.toLowerCase()] !== undefined)
+      .filter(name => options.custom || !name.toLowerCase().startsWith('x-'))
+      .map(name => `${indent}${name} = {${raw[name.toLowerCase()]}}`);
+
+    return `@${entry.type}{${entry.citeKey},\n${lines.join(',\n')}\n}`;
   }
 
   /**
@@ -16,57 +390,428 @@ class BibtexParser {
   parse(bibtex) {
     this.entries = [];
     this.errors = [];
-    
-    // 移除注释
-    bibtex = bibtex.replace(/%.*$/gm, '');
-    
-    // 查找所有条目
-    const entryRegex = /@(\w+)\s*{\s*([^,]*),\s*([\s\S]*?)(?=\s*@|\s*$)/g;
-    let match;
-    
-    while ((match = entryRegex.exec(bibtex)) !== null) {
+    this.strings = { ...BibtexParser.MONTH_MACROS };
+    this.preambles = [];
+
+    this.input = String(bibtex || '');
+    this.pos = 0;
+    this.lineStarts = this.computeLineStarts(this.input);
+
+    while (this.pos < this.input.length) {
+      // 条目之外的文本均视为注释，% 注释行中的 @ 不作为条目起点
+      const char = this.input[this.pos];
+      if (char === '%') {
+        const lineEnd = this.input.indexOf('\n', this.pos);
+        this.pos = lineEnd === -1 ? this.input.length : lineEnd + 1;
+        continue;
+      }
+      if (char !== '@') {
+        this.pos++;
+        continue;
+      }
+
+      const entryStart = this.pos;
+      this.pos++;
       try {
-        const type = match[1].toLowerCase();
-        const citeKey = match[2].trim();
-        const content = match[3].trim();
-        
-        // 只处理文章、会议论文、图书等
-        if (['article', 'inproceedings', 'conference', 'book', 'techreport', 'phdthesis', 'mastersthesis', 'misc'].includes(type)) {
-          const fields = this.parseFields(content);
-          
-          this.entries.push({
-            type,
-            citeKey,
-            ...fields
-          });
-        }
+        this.parseEntry(entryStart);
       } catch (error) {
-        this.errors.push(`解析错误: ${error.message}`);
+        this.addError(error.message, error.pos !== undefined ? error.pos : this.pos);
+        // 出错后从下一个 @ 继续解析；未闭合的条目可能已读过后面的条目，
+        // 此时退回到其后第一个位于行首的 @，只丢弃出错的条目
+        this.pos = Math.max(entryStart + 1, Math.min(this.pos, this.findNextEntryStart(entryStart + 1)));
       }
     }
-    
+
+    this.input = '';
     return this.entries;
   }
-  
+
+  /**
+   * 查找给定位置之后第一个位于行首（允许前导空白）的 @
+   * @param {number} from 起始位置
+   * @returns {number} @ 的位置，找不到时返回输入长度
+   */
+  findNextEntryStart(from) {
+    const pattern = /^[ \t]*@/gm;
+    pattern.lastIndex = from;
+    let match;
+    while ((match = pattern.exec(this.input))) {
+      const at = match.index + match[0].length - 1;
+      if (at >= from) return at;
+    }
+    return this.input.length;
+  }
+
+  /**
+   * 解析单个 @ 块（普通条目、@string、@preamble 或 @comment）
+   * @param {number} entryStart @ 符号所在位置
+   */
+  parseEntry(entryStart) {
+    this.skipWhitespace();
+    const type = this.readIdentifier().toLowerCase();
+    if (!type) {
+      throw this.syntaxError('缺少条目类型');
+    }
+
+    this.skipWhitespace();
+    const open = this.input[this.pos];
+    if (open !== '{' && open !== '(') {
+      throw this.syntaxError(`条目 @${type} 后应为 "{" 或 "("`);
+    }
+    const close = open === '{' ? '}' : ')';
+    this.pos++;
+
+    if (type === 'comment') {
+      this.skipBalanced(open, close, entryStart);
+      return;
+    }
+
+    if (type === 'preamble') {
+      this.skipWhitespace();
+      this.preambles.push(this.readValue());
+      this.expectClose(close, entryStart);
+      return;
+    }
+
+    if (type === 'string') {
+      this.skipWhitespace();
+      const name = this.readIdentifier().toLowerCase();
+      if (!name) {
+        throw this.syntaxError('@string 缺少宏名称');
+      }
+      this.skipWhitespace();
+      this.expectChar('=');
+      this.skipWhitespace();
+      this.strings[name] = this.readValue();
+      this.expectClose(close, entryStart);
+      return;
+    }
+
+    // 普通条目：引用键
+    this.skipWhitespace();
+    const keyStart = this.pos;
+    while (this.pos < this.input.length && !/[,\s]/.test(this.input[this.pos]) && this.input[this.pos] !== close) {
+      this.pos++;
+    }
+    const citeKey = this.input.slice(keyStart, this.pos);
+    if (!citeKey) {
+      throw this.syntaxError(`@${type} 条目缺少引用键`, keyStart);
+    }
+
+    const fieldNames = [];
+    const fieldSpans = {};
+    const fields = this.parseFields(close, entryStart, fieldNames, fieldSpans);
+
+    if (BibtexParser.ENTRY_TYPES.includes(type)) {
+      this.entries.push({
+        // 字段在前：标准的 type 字段（如 @techreport 的 type={Oral}）不能覆盖条目类型，其值仍在 raw.type
+        ...this.normalizeFields(fields),
+        type,
+        citeKey,
+        authors: BibtexParser.parseNames(fields.author),
+        raw: fields,
+        fieldNames,
+        fieldSpans,
+        source: this.input.slice(entryStart, this.pos),
+        line: this.getPosition(entryStart).line
+      });
+    }
+  }
+
   /**
-   * 解析BibTeX条目中的字段
-   * @param {string} content 条目内容
+   * 将字段值转换为用于显示的 Unicode 文本，链接类字段保持原样
+   * @param {Object} fields 原始字段对象
+   * @returns {Object} 显示用字段对象
+   */
+  normalizeFields(fields) {
+    const normalized = {};
+    Object.keys(fields).forEach(name => {
+      normalized[name] = BibtexParser.VERBATIM_FIELDS.includes(name)
+        ? fields[name]
+        : BibtexParser.latexToUnicode(fields[name]);
+    });
+    return normalized;
+  }
+
+  /**
+   * 解析条目中的字段列表，直到遇到结束符
+   * @param {string} close 条目结束符（"}" 或 ")"）
+   * @param {number} entryStart 条目起始位置，用于错误提示
+   * @param {Array<string>} fieldNames 按出现顺序收集字段名（保留原始大小写）
+   * @param {Object} fieldSpans 收集各字段在条目源码中的位置（相对 @ 的偏移）：
+   *   start 字段名起点，nameEnd 字段名终点，valueStart 值起点，end 值终点
    * @returns {Object} 解析后的字段对象
    */
-  parseFields(content) {
+  parseFields(close, entryStart, fieldNames = [], fieldSpans = {}) {
     const fields = {};
-    const fieldRegex = /(\w+)\s*=\s*[{"](.*?)[\"}]/g;
-    let fieldMatch;
-    
-    while ((fieldMatch = fieldRegex.exec(content)) !== null) {
-      const fieldName = fieldMatch[1].toLowerCase();
-      const fieldValue = fieldMatch[2].trim();
-      fields[fieldName] = fieldValue;
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.pos >= this.input.length) {
+        throw this.syntaxError('条目未闭合', entryStart);
+      }
+
+      const char = this.input[this.pos];
+      if (char === close) {
+        this.pos++;
+        return fields;
+      }
+      if (char === ',') {
+        this.pos++;
+        continue;
+      }
+
+      const nameStart = this.pos;
+      const originalName = this.readIdentifier();
+      const fieldName = originalName.toLowerCase();
+      if (!fieldName) {
+        throw this.syntaxError(`无法识别的字符 "${char}"`);
+      }
+
+      const nameEnd = this.pos;
+      this.skipWhitespace();
+      this.expectChar('=');
+      this.skipWhitespace();
+      const valueStart = this.pos;
+      const value = this.readValue();
+
+      if (Object.prototype.hasOwnProperty.call(fields, fieldName)) {
+        this.addError(`重复的字段 "${fieldName}"，保留第一个值`, nameStart);
+      } else {
+        fields[fieldName] = value;
+        fieldNames.push(originalName);
+        fieldSpans[fieldName] = {
+          start: nameStart - entryStart,
+          nameEnd: nameEnd - entryStart,
+          valueStart: valueStart - entryStart,
+          end: this.valueEnd - entryStart
+        };
+      }
+
+      this.skipWhitespace();
+      const next = this.input[this.pos];
+      if (next !== ',' && next !== close) {
+        throw this.syntaxError(`字段 "${fieldName}" 之后应为 "," 或 "${close}"`);
+      }
+    }
+  }
+
+  /**
+   * 读取字段值，处理 # 拼接
+   * @returns {string} 展开后的值
+   */
+  readValue() {
+    const parts = [this.readValuePart()];
+    // 值的终点（不含其后的空白与注释），供 fieldSpans 使用
+    this.valueEnd = this.pos;
+
+    this.skipWhitespace();
+    while (this.input[this.pos] === '#') {
+      this.pos++;
+      this.skipWhitespace();
+      parts.push(this.readValuePart());
+      this.valueEnd = this.pos;
+      this.skipWhitespace();
+    }
+
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 读取单个值片段：花括号值、引号值、数字或宏名
+   * @returns {string} 片段文本
+   */
+  readValuePart() {
+    const char = this.input[this.pos];
+
+    if (char === '{') {
+      const start = this.pos + 1;
+      this.pos++;
+      this.skipBalanced('{', '}', start - 1);
+      return this.input.slice(start, this.pos - 1);
+    }
+
+    if (char === '"') {
+      return this.readQuoted();
+    }
+
+    if (/\d/.test(char || '')) {
+      const start = this.pos;
+      while (/\d/.test(this.input[this.pos] || '')) this.pos++;
+      return this.input.slice(start, this.pos);
+    }
+
+    const macroStart = this.pos;
+    const macro = this.readIdentifier().toLowerCase();
+    if (!macro) {
+      throw this.syntaxError('缺少字段值');
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.strings, macro)) {
+      this.addError(`未定义的宏 "${macro}"`, macroStart);
+      return '';
+    }
+    return this.strings[macro];
+  }
+
+  /**
+   * 读取引号包围的值，引号内的花括号必须配对
+   * @returns {string} 引号内的文本
+   */
+  readQuoted() {
+    const start = this.pos;
+    this.pos++;
+    let depth = 0;
+
+    while (this.pos < this.input.length) {
+      const char = this.input[this.pos];
+      if (char === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (char === '{') depth++;
+      else if (char === '}') depth--;
+      else if (char === '"' && depth === 0) {
+        this.pos++;
+        return this.input.slice(start + 1, this.pos - 1);
+      }
+      this.pos++;
+    }
+
+    throw this.syntaxError('引号值未闭合', start);
+  }
+
+  /**
+   * 跳过配对的括号内容，调用时 pos 应位于开括号之后
+   * @param {string} open 开括号
+   * @param {string} close 闭括号
+   * @param {number} start 开括号位置，用于错误提示
+   */
+  skipBalanced(open, close, start) {
+    let depth = 1;
+
+    while (this.pos < this.input.length) {
+      const char = this.input[this.pos];
+      if (char === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (char === open) depth++;
+      else if (char === close) depth--;
+      this.pos++;
+      if (depth === 0) return;
     }
-    
-    return fields;
+
+    throw this.syntaxError('花括号不匹配', start);
   }
-  
+
+  /**
+   * 读取标识符（条目类型、字段名、宏名）
+   * @returns {string} 标识符，未读取到时返回空字符串
+   */
+  readIdentifier() {
+    const start = this.pos;
+    while (this.pos < this.input.length && /[^\s"#%'(),={}@]/.test(this.input[this.pos])) {
+      this.pos++;
+    }
+    return this.input.slice(start, this.pos);
+  }
+
+  /**
+   * 跳过空白字符及条目内部的 % 行注释
+   */
+  skipWhitespace() {
+    while (this.pos < this.input.length) {
+      const char = this.input[this.pos];
+      if (/\s/.test(char)) {
+        this.pos++;
+      } else if (char === '%') {
+        const lineEnd = this.input.indexOf('\n', this.pos);
+        this.pos = lineEnd === -1 ? this.input.length : lineEnd + 1;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * 断言当前字符并前进
+   * @param {string} char 期望的字符
+   */
+  expectChar(char) {
+    if (this.input[this.pos] !== char) {
+      throw this.syntaxError(`应为 "${char}"`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * 断言条目结束符
+   * @param {string} close 结束符
+   * @param {number} entryStart 条目起始位置
+   */
+  expectClose(close, entryStart) {
+    this.skipWhitespace();
+    if (this.pos >= this.input.length) {
+      throw this.syntaxError('条目未闭合', entryStart);
+    }
+    this.expectChar(close);
+  }
+
+  /**
+   * 创建带位置信息的语法错误
+   * @param {string} message 错误信息
+   * @param {number} pos 出错位置，默认为当前位置
+   * @returns {Error} 错误对象
+   */
+  syntaxError(message, pos = this.pos) {
+    const error = new Error(message);
+    error.pos = pos;
+    return error;
+  }
+
+  /**
+   * 记录解析错误
+   * @param {string} message 错误信息
+   * @param {number} pos 出错位置
+   */
+  addError(message, pos) {
+    const { line, column } = this.getPosition(pos);
+    this.errors.push({
+      message: `解析错误: ${message}`,
+      line,
+      column
+    });
+  }
+
+  /**
+   * 计算每一行的起始偏移
+   * @param {string} text 输入文本
+   * @returns {Array<number>} 行起始偏移数组
+   */
+  computeLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  /**
+   * 将偏移转换为行列号（均从1开始）
+   * @param {number} pos 字符偏移
+   * @returns {{line: number, column: number}} 行列位置
+   */
+  getPosition(pos) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= pos) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: pos - this.lineStarts[low] + 1 };
+  }
+
   /**
    * 获取解析后的条目
    * @returns {Array} 条目数组
@@ -74,15 +819,23 @@ class BibtexParser {
   getEntries() {
     return this.entries;
   }
-  
+
   /**
    * 获取解析错误
-   * @returns {Array} 错误信息数组
+   * @returns {Array<{message: string, line: number, column: number}>} 错误信息数组
    */
   getErrors() {
     return this.errors;
   }
-  
+
+  /**
+   * 获取 @preamble 内容
+   * @returns {Array<string>} preamble 数组
+   */
+  getPreambles() {
+    return this.preambles;
+  }
+
   /**
    * 按年份排序条目（降序）
    * @returns {Array} 排序后的条目数组
@@ -94,7 +847,18 @@ class BibtexParser {
       return yearB - yearA;
     });
   }
-  
+
+  /**
+   * 页面上的分类（期刊 / 会议 / 预印本）对应的条目类型
+   */
+  static get TYPE_GROUPS() {
+    return {
+      'journal': ['article'],
+      'conference': ['inproceedings', 'conference'],
+      'preprint': ['misc', 'unpublished']
+    };
+  }
+
   /**
    * 按类型过滤条目
    * @param {string} type 条目类型
@@ -104,17 +868,16 @@ class BibtexParser {
     if (type === 'all') {
       return this.entries;
     }
-    
-    const typeMap = {
-      'journal': ['article'],
-      'conference': ['inproceedings', 'conference'],
-      'preprint': ['misc', 'unpublished']
-    };
-    
-    const types = typeMap[type] || [type];
+
+    const types = BibtexParser.TYPE_GROUPS[type] || [type];
     return this.entries.filter(entry => types.includes(entry.type));
   }
 }
 
-// 导出解析器
-window.BibtexParser = BibtexParser;
\ No newline at end of file
+// 导出解析器（浏览器中为全局变量，Node 脚本中通过 require 使用）
+if (typeof window !== 'undefined') {
+  window.BibtexParser = BibtexParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BibtexParser;
+}
@@ -0,0 +1,495 @@
+/**
+ * Citation Formatter
+ * Renders parsed BibtexParser entries as text citations (IEEE, APA, MLA)
+ * and machine-readable exports (BibTeX, RIS, EndNote, CSL-JSON)
+ */
+class CitationFormatter {
+  /**
+   * Supported output formats
+   */
+  static get FORMATS() {
+    return {
+      bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+      ieee: { label: 'IEEE', extension: 'txt', mimeType: 'text/plain' },
+      apa: { label: 'APA', extension: 'txt', mimeType: 'text/plain' },
+      mla: { label: 'MLA', extension: 'txt', mimeType: 'text/plain' },
+      ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+      endnote: { label: 'EndNote', extension: 'enw', mimeType: 'application/x-endnote-refer' },
+      csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' }
+    };
+  }
+
+  /**
+   * Format a single entry
+   * @param {Object} entry Parsed BibtexParser entry
+   * @param {string} format Format id from FORMATS
+   * @returns {string} Formatted citation
+   */
+  static format(entry, format) {
+    switch (format) {
+      case 'bibtex':
+        return BibtexParser.toBibtex(entry);
+      case 'ieee':
+        return CitationFormatter.toIEEE(entry);
+      case 'apa':
+        return CitationFormatter.toAPA(entry);
+      case 'mla':
+        return CitationFormatter.toMLA(entry);
+      case 'ris':
+        return CitationFormatter.toRIS(entry);
+      case 'endnote':
+        return CitationFormatter.toEndNote(entry);
+      case 'csl':
+        return JSON.stringify([CitationFormatter.toCSL(entry)], null, 2);
+      default:
+        throw new Error(`Unknown citation format: ${format}`);
+    }
+  }
+
+  /**
+   * Format several entries into one document
+   * @param {Array} entries Parsed BibtexParser entries
+   * @param {string} format Format id from FORMATS
+   * @returns {string} Combined output
+   */
+  static formatAll(entries, format) {
+    if (format === 'csl') {
+      return JSON.stringify(entries.map(entry => CitationFormatter.toCSL(entry)), null, 2);
+    }
+    if (format === 'ieee') {
+      return entries.map((entry, index) => `[${index + 1}] ${CitationFormatter.toIEEE(entry)}`).join('\n\n');
+    }
+    return entries.map(entry => CitationFormatter.format(entry, format)).join('\n\n');
+  }
+
+  /**
+   * Trigger a browser download of text content
+   * @param {string} filename File name
+   * @param {string} content File content
+   * @param {string} mimeType MIME type
+   */
+  static download(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Classify an entry for citation purposes
+   * @param {Object} entry Parsed entry
+   * @returns {string} 'journal', 'conference', 'preprint', 'book', 'thesis', 'report' or 'generic'
+   */
+  static getKind(entry) {
+    switch (entry.type) {
+      case 'article':
+        return 'journal';
+      case 'inproceedings':
+      case 'conference':
+        return 'conference';
+      case 'book':
+        return 'book';
+      case 'phdthesis':
+      case 'mastersthesis':
+        return 'thesis';
+      case 'techreport':
+        return 'report';
+      default:
+        return CitationFormatter.getArxivId(entry) ? 'preprint' : 'generic';
+    }
+  }
+
+  /**
+   * Get the arXiv identifier of an entry without its version suffix, e.g.
+   * "2510.02034", from the eprint field, an arxiv.org URL or an "arXiv:" note
+   * (also used by PublicationVersions to match preprints)
+   * @param {Object} entry Parsed entry
+   * @returns {string} arXiv id or empty string
+   */
+  static getArxivId(entry) {
+    const id = '(\\d{4}\\.\\d{4,5}|[a-z-]+(?:\\.[A-Z]{2})?\\/\\d{7})';
+    const eprint = String(entry.eprint || '').trim();
+    const isArxiv = String(entry.archiveprefix || '').toLowerCase() === 'arxiv';
+    const candidates = [
+      isArxiv || new RegExp(`^${id}(v\\d+)?$`, 'i').test(eprint) ? eprint : '',
+      ...['url', 'pdf', 'journal', 'note'].map(field => entry[field] || '')
+    ];
+    for (const text of candidates) {
+      const match = text.match(new RegExp(`(?:^|arxiv\\.org\\/(?:abs|pdf)\\/|arxiv:\\s*)${id}(?:v\\d+)?`, 'i'));
+      if (match) return match[1];
+    }
+    return '';
+  }
+
+  /**
+   * Container (journal/proceedings) title of an entry
+   * @param {Object} entry Parsed entry
+   * @returns {string} Container title
+   */
+  static getContainer(entry) {
+    return entry.journal || entry.booktitle || '';
+  }
+
+  /**
+   * Page range with an en dash
+   * @param {Object} entry Parsed entry
+   * @returns {{first: string, last: string, range: string}} Page info
+   */
+  static getPages(entry) {
+    const pages = (entry.pages || '').trim();
+    const [first, last] = pages.split(/\s*[-–—]+\s*/);
+    return {
+      first: first || '',
+      last: last || '',
+      range: last ? `${first}–${last}` : (first || '')
+    };
+  }
+
+  /**
+   * Month number (1-12) of an entry
+   * @param {Object} entry Parsed entry
+   * @returns {number|null} Month number
+   */
+  static getMonth(entry) {
+    if (!entry.month) return null;
+    const numeric = parseInt(entry.month, 10);
+    if (numeric >= 1 && numeric <= 12) return numeric;
+    const index = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf(entry.month.slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Real (non-"others") author names of an entry
+   * @param {Object} entry Parsed entry
+   * @returns {{names: Array, others: boolean}} Author names and whether the list ends with "and others"
+   */
+  static getAuthors(entry) {
+    const authors = entry.authors || [];
+    return {
+      names: authors.filter(name => !name.others),
+      others: authors.some(name => name.others)
+    };
+  }
+
+  /**
+   * Family name including the von particle
+   * @param {Object} name Structured name
+   * @returns {string} Family name
+   */
+  static familyName(name) {
+    return [name.von, name.last].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Join list items: "A, B, and C"
+   * @param {Array<string>} items Items
+   * @param {string} conjunction Word or symbol before the last item
+   * @param {boolean} serialComma Whether to put a comma before the conjunction with three or more items
+   * @returns {string} Joined text
+   */
+  static joinList(items, conjunction, serialComma = true) {
+    if (items.length <= 1) return items.join('');
+    if (items.length === 2) {
+      return `${items[0]}${conjunction === '&' ? ',' : ''} ${conjunction} ${items[1]}`;
+    }
+    const head = items.slice(0, -1).join(', ');
+    return `${head}${serialComma ? ',' : ''} ${conjunction} ${items[items.length - 1]}`;
+  }
+
+  /**
+   * Append a terminal period unless the text already ends with punctuation
+   * @param {string} text Text
+   * @returns {string} Text ending with punctuation
+   */
+  static withPeriod(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+  }
+
+  /**
+   * IEEE style
+   * @param {Object} entry Parsed entry
+   * @returns {string} Citation text
+   */
+  static toIEEE(entry) {
+    const { names, others } = CitationFormatter.getAuthors(entry);
+    const authorList = names.map(name => BibtexParser.formatName(name, 'initials'));
+    let authors = others
+      ? `${authorList.join(', ')} et al.`
+      : CitationFormatter.joinList(authorList, 'and', authorList.length > 2);
+
+    const kind = CitationFormatter.getKind(entry);
+    const pages = CitationFormatter.getPages(entry);
+    const parts = [];
+
+    if (kind === 'conference') {
+      parts.push(`in ${CitationFormatter.getContainer(entry)}`);
+    } else if (kind === 'journal') {
+      parts.push(CitationFormatter.getContainer(entry));
+      if (entry.volume) parts.push(`vol. ${entry.volume}`);
+      if (entry.number) parts.push(`no. ${entry.number}`);
+    } else if (kind === 'preprint') {
+      parts.push(`arXiv preprint arXiv:${CitationFormatter.getArxivId(entry)}`);
+    } else if (entry.publisher || entry.school || entry.institution) {
+      parts.push(entry.publisher || entry.school || entry.institution);
+    }
+    if (pages.range) parts.push(`${pages.last ? 'pp.' : 'p.'} ${pages.range}`);
+    if (entry.year) parts.push(entry.year);
+    if (entry.doi) parts.push(`doi: ${entry.doi}`);
+
+    if (authors) authors += ', ';
+    const details = parts.filter(Boolean).join(', ');
+    return `${authors}"${entry.title || 'Untitled'}," ${CitationFormatter.withPeriod(details)}`.trim();
+  }
+
+  /**
+   * APA (7th edition) style
+   * @param {Object} entry Parsed entry
+   * @returns {string} Citation text
+   */
+  static toAPA(entry) {
+    const { names } = CitationFormatter.getAuthors(entry);
+    const formatted = names.map(name => {
+      const initials = BibtexParser.abbreviateFirst(name.first);
+      const family = CitationFormatter.familyName(name) + (name.jr ? `, ${name.jr}` : '');
+      return initials ? `${family}, ${initials}` : family;
+    });
+
+    // APA lists up to 20 authors; beyond that the first 19, an ellipsis and the last author
+    let authors;
+    if (formatted.length > 20) {
+      authors = `${formatted.slice(0, 19).join(', ')}, . . . ${formatted[formatted.length - 1]}`;
+    } else {
+      authors = CitationFormatter.joinList(formatted, '&');
+    }
+
+    const kind = CitationFormatter.getKind(entry);
+    const pages = CitationFormatter.getPages(entry);
+    const year = `(${entry.year || 'n.d.'}).`;
+    const title = CitationFormatter.withPeriod(entry.title || 'Untitled');
+    let source = '';
+
+    if (kind === 'journal') {
+      source = CitationFormatter.getContainer(entry);
+      if (entry.volume) source += `, ${entry.volume}`;
+      if (entry.number) source += `(${entry.number})`;
+      if (pages.range) source += `, ${pages.range}`;
+      source = CitationFormatter.withPeriod(source);
+    } else if (kind === 'conference') {
+      source = `In ${CitationFormatter.getContainer(entry)}`;
+      if (pages.range) source += ` (${pages.last ? 'pp.' : 'p.'} ${pages.range})`;
+      source = CitationFormatter.withPeriod(source);
+      if (entry.publisher) source += ` ${CitationFormatter.withPeriod(entry.publisher)}`;
+    } else if (kind === 'preprint') {
+      source = `arXiv. https://doi.org/10.48550/arXiv.${CitationFormatter.getArxivId(entry)}`;
+    } else if (entry.publisher) {
+      source = CitationFormatter.withPeriod(entry.publisher);
+    }
+
+    const link = entry.doi ? `https://doi.org/${entry.doi}` : (kind === 'preprint' ? '' : entry.url || '');
+    return [authors ? CitationFormatter.withPeriod(authors) : '', year, title, source, link]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * MLA (9th edition) style
+   * @param {Object} entry Parsed entry
+   * @returns {string} Citation text
+   */
+  static toMLA(entry) {
+    const { names } = CitationFormatter.getAuthors(entry);
+    const invert = name => {
+      const family = CitationFormatter.familyName(name);
+      const suffix = name.jr ? `, ${name.jr}` : '';
+      return name.first ? `${family}, ${name.first}${suffix}` : `${family}${suffix}`;
+    };
+
+    let authors = '';
+    if (names.length === 1) {
+      authors = invert(names[0]);
+    } else if (names.length === 2) {
+      authors = `${invert(names[0])}, and ${BibtexParser.formatName(names[1])}`;
+    } else if (names.length > 2) {
+      authors = `${invert(names[0])}, et al`;
+    }
+
+    const kind = CitationFormatter.getKind(entry);
+    const pages = CitationFormatter.getPages(entry);
+    const containerParts = [];
+
+    if (kind === 'preprint') {
+      containerParts.push('arXiv');
+    } else if (CitationFormatter.getContainer(entry)) {
+      containerParts.push(CitationFormatter.getContainer(entry));
+    }
+    if (entry.volume) containerParts.push(`vol. ${entry.volume}`);
+    if (entry.number) containerParts.push(`no. ${entry.number}`);
+    if (kind !== 'journal' && kind !== 'preprint' && entry.publisher) containerParts.push(entry.publisher);
+    if (entry.year) containerParts.push(entry.year);
+    if (pages.range) containerParts.push(`${pages.last ? 'pp.' : 'p.'} ${pages.range}`);
+
+    const link = entry.doi ? `https://doi.org/${entry.doi}` : entry.url || '';
+    const title = entry.title || 'Untitled';
+    return [
+      authors ? CitationFormatter.withPeriod(authors) : '',
+      `"${/[.?!]$/.test(title) ? title : `${title}.`}"`,
+      containerParts.length > 0 ? CitationFormatter.withPeriod(containerParts.join(', ')) : '',
+      link ? CitationFormatter.withPeriod(link) : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * RIS export
+   * @param {Object} entry Parsed entry
+   * @returns {string} RIS record
+   */
+  static toRIS(entry) {
+    const typeMap = {
+      journal: 'JOUR',
+      conference: 'CPAPER',
+      preprint: 'PREPRINT',
+      book: 'BOOK',
+      thesis: 'THES',
+      report: 'RPRT',
+      generic: 'GEN'
+    };
+    const kind = CitationFormatter.getKind(entry);
+    const pages = CitationFormatter.getPages(entry);
+    const lines = [['TY', typeMap[kind]]];
+
+    CitationFormatter.getAuthors(entry).names.forEach(name => {
+      const given = name.first + (name.jr ? `, ${name.jr}` : '');
+      lines.push(['AU', given ? `${CitationFormatter.familyName(name)}, ${given}` : CitationFormatter.familyName(name)]);
+    });
+    lines.push(['TI', entry.title]);
+    if (kind === 'journal') lines.push(['JO', entry.journal]);
+    else if (entry.booktitle) lines.push(['T2', entry.booktitle]);
+    lines.push(['PY', entry.year]);
+    lines.push(['VL', entry.volume]);
+    lines.push(['IS', entry.number]);
+    lines.push(['SP', pages.first]);
+    lines.push(['EP', pages.last]);
+    lines.push(['PB', entry.publisher || entry.school || entry.institution]);
+    lines.push(['DO', entry.doi]);
+    lines.push(['UR', entry.url || (CitationFormatter.getArxivId(entry) ? `https://arxiv.org/abs/${CitationFormatter.getArxivId(entry)}` : '')]);
+    lines.push(['AB', entry.abstract]);
+    lines.push(['ID', entry.citeKey]);
+    lines.push(['ER', '']);
+
+    return lines
+      .filter(([tag, value]) => tag === 'ER' || value)
+      .map(([tag, value]) => `${tag}  - ${value}`)
+      .join('\n');
+  }
+
+  /**
+   * EndNote (.enw, refer format) export
+   * @param {Object} entry Parsed entry
+   * @returns {string} EndNote record
+   */
+  static toEndNote(entry) {
+    const typeMap = {
+      journal: 'Journal Article',
+      conference: 'Conference Proceedings',
+      preprint: 'Electronic Article',
+      book: 'Book',
+      thesis: 'Thesis',
+      report: 'Report',
+      generic: 'Generic'
+    };
+    const kind = CitationFormatter.getKind(entry);
+    const lines = [['%0', typeMap[kind]]];
+
+    CitationFormatter.getAuthors(entry).names.forEach(name => {
+      const given = name.first + (name.jr ? `, ${name.jr}` : '');
+      lines.push(['%A', given ? `${CitationFormatter.familyName(name)}, ${given}` : CitationFormatter.familyName(name)]);
+    });
+    lines.push(['%T', entry.title]);
+    if (kind === 'journal') lines.push(['%J', entry.journal]);
+    else if (entry.booktitle) lines.push(['%B', entry.booktitle]);
+    lines.push(['%D', entry.year]);
+    lines.push(['%V', entry.volume]);
+    lines.push(['%N', entry.number]);
+    lines.push(['%P', CitationFormatter.getPages(entry).range]);
+    lines.push(['%I', entry.publisher || entry.school || entry.institution]);
+    lines.push(['%R', entry.doi]);
+    lines.push(['%U', entry.url || (CitationFormatter.getArxivId(entry) ? `https://arxiv.org/abs/${CitationFormatter.getArxivId(entry)}` : '')]);
+    lines.push(['%X', entry.abstract]);
+    lines.push(['%F', entry.citeKey]);
+
+    return lines
+      .filter(([, value]) => value)
+      .map(([tag, value]) => `${tag} ${value}`)
+      .join('\n');
+  }
+
+  /**
+   * CSL-JSON item
+   * @param {Object} entry Parsed entry
+   * @returns {Object} CSL-JSON item
+   */
+  static toCSL(entry) {
+    const typeMap = {
+      journal: 'article-journal',
+      conference: 'paper-conference',
+      preprint: 'article',
+      book: 'book',
+      thesis: 'thesis',
+      report: 'report',
+      generic: 'document'
+    };
+    const kind = CitationFormatter.getKind(entry);
+    const item = {
+      id: entry.citeKey,
+      type: typeMap[kind],
+      title: entry.title
+    };
+
+    const { names } = CitationFormatter.getAuthors(entry);
+    if (names.length > 0) {
+      item.author = names.map(name => {
+        const author = { family: name.last, given: name.first };
+        if (name.von) author['non-dropping-particle'] = name.von;
+        if (name.jr) author.suffix = name.jr;
+        return author;
+      });
+    }
+
+    if (entry.year) {
+      const dateParts = [parseInt(entry.year, 10)];
+      const month = CitationFormatter.getMonth(entry);
+      if (month) dateParts.push(month);
+      item.issued = { 'date-parts': [dateParts] };
+    }
+
+    const container = CitationFormatter.getContainer(entry);
+    if (container) item['container-title'] = container;
+    if (kind === 'preprint') {
+      item.publisher = 'arXiv';
+      item.number = CitationFormatter.getArxivId(entry);
+    }
+    if (entry.volume) item.volume = entry.volume;
+    if (entry.number && kind !== 'preprint') item.issue = entry.number;
+    if (entry.pages) item.page = CitationFormatter.getPages(entry).range;
+    if (entry.publisher) item.publisher = entry.publisher;
+    if (entry.doi) item.DOI = entry.doi;
+    if (entry.url) item.URL = entry.url;
+    if (entry.abstract) item.abstract = entry.abstract;
+
+    return item;
+  }
+}
+
+// Export formatter (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.CitationFormatter = CitationFormatter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationFormatter;
+}
@@ -0,0 +1,447 @@
+/**
+ * Coauthor Graph
+ * Dependency-free SVG force-directed collaboration network built from parsed
+ * BibtexParser entries and coauthor.json, with zoom/pan, hover details and node selection
+ */
+class CoauthorGraph {
+  /**
+   * @param {HTMLElement} container Element the graph is rendered into
+   * @param {Object} options Options
+   * @param {Function} options.onSelect Called with the author name when a node is clicked
+   * @param {string} options.highlightAuthor Name of the page owner (drawn in the primary color)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSelect = options.onSelect || (() => {});
+    this.highlightKey = BibtexParser.nameKey(options.highlightAuthor || 'Chaofeng Chen');
+    this.nodes = [];
+    this.edges = [];
+    this.view = { x: 0, y: 0, scale: 1 };
+    this.frame = null;
+  }
+
+  /**
+   * SVG namespace
+   */
+  static get SVG_NS() {
+    return 'http://www.w3.org/2000/svg';
+  }
+
+  /**
+   * Number of nodes that always show a text label
+   */
+  static get LABELED_NODES() {
+    return 12;
+  }
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag Tag name
+   * @param {Object} attributes Attributes
+   * @returns {SVGElement} Element
+   */
+  static createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(CoauthorGraph.SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+
+  /**
+   * Stable color for an affiliation; unknown affiliations are grey
+   * @param {string} affiliation Affiliation
+   * @returns {string} CSS color
+   */
+  static getAffiliationColor(affiliation) {
+    if (!affiliation || affiliation === 'Unknown') return '#9aa5b1';
+    let hash = 0;
+    for (let i = 0; i < affiliation.length; i++) {
+      hash = (hash * 31 + affiliation.charCodeAt(i)) >>> 0;
+    }
+    return `hsl(${hash % 360}, 55%, 55%)`;
+  }
+
+  /**
+   * Build nodes (authors) and weighted edges (joint papers)
+   * @param {Array} entries Parsed entries
+   * @param {Object} coauthorsData Contents of coauthor.json
+   * @returns {{nodes: Array, edges: Array}} Graph data
+   */
+  static buildGraph(entries, coauthorsData = {}) {
+    const info = new Map();
+    Object.entries(coauthorsData?.coauthors || {}).forEach(([name, data]) => {
+      info.set(BibtexParser.nameKey(name), { ...data, name: data.name || name });
+    });
+
+    const nodes = new Map();
+    const edges = new Map();
+    entries.forEach(entry => {
+      const keys = [];
+      (entry.authors || []).forEach(name => {
+        if (name.others) return;
+        const key = BibtexParser.nameKey(name);
+        if (keys.includes(key)) return;
+        keys.push(key);
+
+        if (!nodes.has(key)) {
+          const coauthorInfo = info.get(key) || {};
+          nodes.set(key, {
+            id: key,
+            name: coauthorInfo.name || BibtexParser.formatName(name),
+            affiliation: coauthorInfo.affiliation || 'Unknown',
+            count: 0
+          });
+        }
+        nodes.get(key).count++;
+      });
+
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+          const id = keys[i] < keys[j] ? `${keys[i]}|${keys[j]}` : `${keys[j]}|${keys[i]}`;
+          edges.set(id, (edges.get(id) || 0) + 1);
+        }
+      }
+    });
+
+    return {
+      nodes: [...nodes.values()],
+      edges: [...edges.entries()].map(([id, weight]) => {
+        const [source, target] = id.split('|');
+        return { source, target, weight };
+      })
+    };
+  }
+
+  /**
+   * Load graph data and (re)start the layout
+   * @param {Array} entries Parsed entries
+   * @param {Object} coauthorsData Contents of coauthor.json
+   */
+  setData(entries, coauthorsData) {
+    const graph = CoauthorGraph.buildGraph(entries, coauthorsData);
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+
+    this.nodes = graph.nodes.sort((a, b) => b.count - a.count);
+    this.edges = graph.edges.map(edge => ({ ...edge, source: byId.get(edge.source), target: byId.get(edge.target) }));
+    this.neighbors = new Map(this.nodes.map(node => [node.id, new Set()]));
+    this.edges.forEach(edge => {
+      this.neighbors.get(edge.source.id).add(edge.target.id);
+      this.neighbors.get(edge.target.id).add(edge.source.id);
+    });
+
+    this.render();
+    this.startLayout();
+  }
+
+  /**
+   * Build the SVG, legend and tooltip
+   */
+  render() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+    this.width = this.container.clientWidth || 800;
+    this.height = Math.max(360, Math.round(this.width * 0.6));
+
+    this.svg = CoauthorGraph.createSvgElement('svg', {
+      class: 'coauthor-graph-svg',
+      width: '100%',
+      height: this.height,
+      role: 'img',
+      'aria-label': `Collaboration network of ${this.nodes.length} authors`
+    });
+    this.viewport = CoauthorGraph.createSvgElement('g', { class: 'coauthor-graph-viewport' });
+    const edgeLayer = CoauthorGraph.createSvgElement('g', { class: 'coauthor-graph-edges' });
+    const nodeLayer = CoauthorGraph.createSvgElement('g', { class: 'coauthor-graph-nodes' });
+    this.viewport.append(edgeLayer, nodeLayer);
+    this.svg.appendChild(this.viewport);
+
+    this.edges.forEach(edge => {
+      edge.element = CoauthorGraph.createSvgElement('line', {
+        class: 'coauthor-graph-edge',
+        'stroke-width': Math.min(6, 0.6 + Math.sqrt(edge.weight) * 0.8)
+      });
+      edgeLayer.appendChild(edge.element);
+    });
+
+    this.nodes.forEach((node, index) => {
+      const group = CoauthorGraph.createSvgElement('g', {
+        class: 'coauthor-graph-node',
+        tabindex: '0',
+        role: 'button',
+        'aria-label': `${node.name}, ${node.count} ${node.count === 1 ? 'paper' : 'papers'}`
+      });
+      node.radius = 4 + Math.sqrt(node.count) * 2.5;
+      const circle = CoauthorGraph.createSvgElement('circle', {
+        r: node.radius,
+        fill: node.id === this.highlightKey ? 'var(--primary-color)' : CoauthorGraph.getAffiliationColor(node.affiliation)
+      });
+      group.appendChild(circle);
+      if (index < CoauthorGraph.LABELED_NODES || node.id === this.highlightKey) {
+        const label = CoauthorGraph.createSvgElement('text', { dy: -node.radius - 3, 'text-anchor': 'middle' });
+        label.textContent = node.name;
+        group.appendChild(label);
+      }
+
+      group.addEventListener('pointerenter', () => this.showDetails(node));
+      group.addEventListener('pointerleave', () => this.hideDetails());
+      group.addEventListener('focus', () => this.showDetails(node));
+      group.addEventListener('blur', () => this.hideDetails());
+      group.addEventListener('click', () => {
+        if (!this.dragged) this.onSelect(node.name);
+      });
+      group.addEventListener('keydown', event => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.onSelect(node.name);
+        }
+      });
+
+      node.element = group;
+      nodeLayer.appendChild(group);
+    });
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'coauthor-graph-tooltip';
+    this.tooltip.hidden = true;
+
+    this.container.append(this.svg, this.tooltip, this.renderLegend());
+    this.bindZoomAndPan();
+    this.view = { x: 0, y: 0, scale: 1 };
+    this.applyView();
+  }
+
+  /**
+   * Legend of the affiliation colors in use
+   * @returns {HTMLElement} Legend element
+   */
+  renderLegend() {
+    const legend = document.createElement('ul');
+    legend.className = 'coauthor-graph-legend';
+
+    const affiliations = new Map();
+    this.nodes.forEach(node => {
+      if (node.id !== this.highlightKey) {
+        affiliations.set(node.affiliation, (affiliations.get(node.affiliation) || 0) + 1);
+      }
+    });
+    [...affiliations.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8)
+      .forEach(([affiliation]) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'coauthor-graph-swatch';
+        swatch.style.backgroundColor = CoauthorGraph.getAffiliationColor(affiliation);
+        item.append(swatch, document.createTextNode(affiliation === 'Unknown' ? 'Affiliation unknown' : affiliation));
+        legend.appendChild(item);
+      });
+
+    const hint = document.createElement('li');
+    hint.className = 'coauthor-graph-hint';
+    hint.textContent = 'Scroll to zoom, drag to pan, click an author to list joint papers';
+    legend.appendChild(hint);
+
+    return legend;
+  }
+
+  /**
+   * Wheel zoom around the pointer and drag-to-pan
+   */
+  bindZoomAndPan() {
+    this.svg.addEventListener('wheel', event => {
+      event.preventDefault();
+      const rect = this.svg.getBoundingClientRect();
+      const pointerX = event.clientX - rect.left;
+      const pointerY = event.clientY - rect.top;
+      const scale = Math.min(4, Math.max(0.3, this.view.scale * Math.exp(-event.deltaY * 0.0015)));
+      const ratio = scale / this.view.scale;
+
+      this.view.x = pointerX - (pointerX - this.view.x) * ratio;
+      this.view.y = pointerY - (pointerY - this.view.y) * ratio;
+      this.view.scale = scale;
+      this.applyView();
+    }, { passive: false });
+
+    let start = null;
+    this.svg.addEventListener('pointerdown', event => {
+      if (event.button !== 0) return;
+      start = { x: event.clientX, y: event.clientY, viewX: this.view.x, viewY: this.view.y };
+      this.dragged = false;
+    });
+    this.svg.addEventListener('pointermove', event => {
+      if (!start) return;
+      const dx = event.clientX - start.x;
+      const dy = event.clientY - start.y;
+      if (!this.dragged && Math.hypot(dx, dy) < 4) return;
+      if (!this.dragged) {
+        this.dragged = true;
+        this.svg.setPointerCapture(event.pointerId);
+        this.svg.classList.add('is-panning');
+      }
+      this.view.x = start.viewX + dx;
+      this.view.y = start.viewY + dy;
+      this.applyView();
+    });
+    const endPan = () => {
+      start = null;
+      this.svg.classList.remove('is-panning');
+      // Let the click that ends a drag see this.dragged before it is reset
+      setTimeout(() => { this.dragged = false; }, 0);
+    };
+    this.svg.addEventListener('pointerup', endPan);
+    this.svg.addEventListener('pointercancel', endPan);
+  }
+
+  /**
+   * Apply the current zoom/pan transform
+   */
+  applyView() {
+    this.viewport.setAttribute('transform', `translate(${this.view.x} ${this.view.y}) scale(${this.view.scale})`);
+  }
+
+  /**
+   * Show hover details and fade authors that are not directly connected
+   * @param {Object} node Graph node
+   */
+  showDetails(node) {
+    const neighbors = this.neighbors.get(node.id);
+    this.nodes.forEach(other => {
+      other.element.classList.toggle('is-faded', other !== node && !neighbors.has(other.id));
+    });
+    this.edges.forEach(edge => {
+      edge.element.classList.toggle('is-active', edge.source === node || edge.target === node);
+    });
+
+    const topCollaborators = this.edges
+      .filter(edge => edge.source === node || edge.target === node)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 3)
+      .map(edge => `${(edge.source === node ? edge.target : edge.source).name} (${edge.weight})`);
+
+    this.tooltip.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = node.name;
+    const details = document.createElement('div');
+    details.textContent = [
+      node.affiliation !== 'Unknown' ? node.affiliation : '',
+      `${node.count} ${node.count === 1 ? 'paper' : 'papers'}`,
+      `${neighbors.size} coauthors`
+    ].filter(Boolean).join(' · ');
+    this.tooltip.append(title, details);
+    if (topCollaborators.length > 0) {
+      const top = document.createElement('div');
+      top.textContent = `Most joint papers: ${topCollaborators.join(', ')}`;
+      this.tooltip.appendChild(top);
+    }
+
+    const x = node.x * this.view.scale + this.view.x;
+    const y = node.y * this.view.scale + this.view.y;
+    this.tooltip.style.left = `${Math.min(Math.max(x + 12, 0), this.width - 220)}px`;
+    this.tooltip.style.top = `${Math.max(y - 12, 0)}px`;
+    this.tooltip.hidden = false;
+  }
+
+  /**
+   * Hide hover details
+   */
+  hideDetails() {
+    this.nodes.forEach(node => node.element.classList.remove('is-faded'));
+    this.edges.forEach(edge => edge.element.classList.remove('is-active'));
+    if (this.tooltip) this.tooltip.hidden = true;
+  }
+
+  /**
+   * Run the Fruchterman-Reingold layout, one step per animation frame
+   */
+  startLayout() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+
+    // Deterministic start on a sunflower spiral so the layout is the same on every visit
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
+    this.nodes.forEach((node, index) => {
+      const radius = 12 * Math.sqrt(index + 1);
+      const angle = index * 2.399963;
+      node.x = centerX + radius * Math.cos(angle);
+      node.y = centerY + radius * Math.sin(angle);
+    });
+
+    const k = Math.sqrt((this.width * this.height) / Math.max(1, this.nodes.length)) * 0.55;
+    let temperature = this.width / 10;
+    let iterations = 0;
+
+    const step = () => {
+      this.tick(k, temperature, centerX, centerY);
+      this.draw();
+      temperature *= 0.97;
+      iterations++;
+      this.frame = temperature > 0.5 && iterations < 300 ? requestAnimationFrame(step) : null;
+    };
+    this.frame = requestAnimationFrame(step);
+  }
+
+  /**
+   * One layout iteration: pairwise repulsion, edge attraction and gravity
+   * @param {number} k Ideal edge length
+   * @param {number} temperature Maximum displacement
+   * @param {number} centerX Layout center x
+   * @param {number} centerY Layout center y
+   */
+  tick(k, temperature, centerX, centerY) {
+    const nodes = this.nodes;
+    nodes.forEach(node => {
+      node.dx = (centerX - node.x) * 0.01;
+      node.dy = (centerY - node.y) * 0.01;
+    });
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(0.01, Math.hypot(dx, dy));
+        const force = (k * k) / distance;
+        a.dx += (dx / distance) * force;
+        a.dy += (dy / distance) * force;
+        b.dx -= (dx / distance) * force;
+        b.dy -= (dy / distance) * force;
+      }
+    }
+
+    this.edges.forEach(({ source, target, weight }) => {
+      const dx = source.x - target.x;
+      const dy = source.y - target.y;
+      const distance = Math.max(0.01, Math.hypot(dx, dy));
+      const force = ((distance * distance) / k) * (1 + Math.log(weight)) * 0.5;
+      source.dx -= (dx / distance) * force;
+      source.dy -= (dy / distance) * force;
+      target.dx += (dx / distance) * force;
+      target.dy += (dy / distance) * force;
+    });
+
+    nodes.forEach(node => {
+      const length = Math.max(0.01, Math.hypot(node.dx, node.dy));
+      const move = Math.min(length, temperature);
+      node.x = Math.min(this.width - node.radius, Math.max(node.radius, node.x + (node.dx / length) * move));
+      node.y = Math.min(this.height - node.radius, Math.max(node.radius, node.y + (node.dy / length) * move));
+    });
+  }
+
+  /**
+   * Write node and edge positions to the SVG
+   */
+  draw() {
+    this.edges.forEach(({ source, target, element }) => {
+      element.setAttribute('x1', source.x.toFixed(1));
+      element.setAttribute('y1', source.y.toFixed(1));
+      element.setAttribute('x2', target.x.toFixed(1));
+      element.setAttribute('y2', target.y.toFixed(1));
+    });
+    this.nodes.forEach(node => {
+      node.element.setAttribute('transform', `translate(${node.x.toFixed(1)} ${node.y.toFixed(1)})`);
+    });
+  }
+}
+
+// Export graph
+window.CoauthorGraph = CoauthorGraph;
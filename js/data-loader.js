@@ -0,0 +1,326 @@
+/**
+ * Data Loader
+ * Shared loader for the site's data files (data/*.json, data/publications.bib)
+ *
+ * - Loads are shared per page: the same file is requested at most once
+ * - Responses are stored in the Cache API (or localStorage when it is not
+ *   available, e.g. on file:// pages) and reused for MAX_AGE without a request
+ * - Older copies are revalidated with If-None-Match / If-Modified-Since
+ * - Network errors, 429 and 5xx responses are retried with exponential backoff
+ * - When offline or the server fails, the stored copy is used if there is one
+ * - Failures, including JSON that does not parse, reject with a DataLoadError
+ */
+class DataLoadError extends Error {
+  /**
+   * @param {string} message Message
+   * @param {Object} details Details
+   * @param {string} details.path Requested path
+   * @param {number} details.status HTTP status, 0 for network errors
+   * @param {boolean} details.offline Whether the browser was offline
+   * @param {Error} details.cause Underlying error
+   */
+  constructor(message, { path, status = 0, offline = false, cause = null } = {}) {
+    super(message);
+    this.name = 'DataLoadError';
+    this.path = path;
+    this.status = status;
+    this.offline = offline;
+    this.cause = cause;
+  }
+}
+
+class DataLoader {
+  /**
+   * Name of the Cache API cache and prefix of localStorage keys
+   */
+  static get CACHE_NAME() {
+    return 'data-loader-v1';
+  }
+
+  /**
+   * Stored copies younger than this are used without a request
+   */
+  static get MAX_AGE() {
+    return 5 * 60 * 1000;
+  }
+
+  /**
+   * Retries after the first attempt, and the delay before the first retry
+   */
+  static get RETRIES() {
+    return 2;
+  }
+
+  static get BACKOFF() {
+    return 500;
+  }
+
+  /**
+   * Load and parse a JSON data file
+   * @param {string} path Path relative to the site root, e.g. "data/news.json"
+   * @param {Object} options See load()
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  static json(path, options = {}) {
+    return DataLoader.load(path, { ...options, type: 'json' });
+  }
+
+  /**
+   * Load a text data file
+   * @param {string} path Path relative to the site root, e.g. "data/publications.bib"
+   * @param {Object} options See load()
+   * @returns {Promise<string>} File content
+   */
+  static text(path, options = {}) {
+    return DataLoader.load(path, { ...options, type: 'text' });
+  }
+
+  /**
+   * Load a data file
+   * @param {string} path Path relative to the site root
+   * @param {Object} options Options
+   * @param {string} options.type "json" or "text"
+   * @param {number} options.maxAge Reuse a stored copy younger than this (ms) without a request
+   * @param {number} options.retries Retries after the first attempt
+   * @returns {Promise<*>} File content
+   */
+  static load(path, options = {}) {
+    const type = options.type || 'json';
+    const key = `${type}:${path}`;
+    if (!DataLoader.loads.has(key)) {
+      const load = DataLoader.loadRecord(path, { ...options, type }).then(record => {
+        DataLoader.sources.set(path, record.source);
+        return record.data;
+      });
+      // Failed loads are not kept, so a later call can try again
+      load.catch(() => DataLoader.loads.delete(key));
+      DataLoader.loads.set(key, load);
+    }
+    return DataLoader.loads.get(key);
+  }
+
+  /**
+   * Where a loaded file came from: "network", "revalidated" (304), "cache"
+   * (fresh stored copy) or "offline" (stored copy after a failed request)
+   * @param {string} path Path
+   * @returns {string|undefined} Source
+   */
+  static getSource(path) {
+    return DataLoader.sources.get(path);
+  }
+
+  /**
+   * Drop the in-memory and stored copies of a file, or of all files
+   * @param {string} path Path; all files when omitted
+   * @returns {Promise<void>}
+   */
+  static async clear(path) {
+    [...DataLoader.loads.keys()].forEach(key => {
+      if (!path || key.endsWith(`:${path}`)) DataLoader.loads.delete(key);
+    });
+    try {
+      if (DataLoader.hasCacheApi()) {
+        if (path) {
+          const cache = await caches.open(DataLoader.CACHE_NAME);
+          await cache.delete(DataLoader.getStoreKey(path));
+        } else {
+          await caches.delete(DataLoader.CACHE_NAME);
+        }
+      }
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(`${DataLoader.CACHE_NAME}:`) && (!path || key === DataLoader.getStoreKey(path)))
+        .forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      // Storage may be unavailable (private mode); there is nothing to clear
+    }
+  }
+
+  /**
+   * Parse a file body
+   * @param {string} path Path
+   * @param {string} type "json" or "text"
+   * @param {string} body File content
+   * @returns {*} Parsed content
+   * @throws {DataLoadError} When a JSON file does not parse
+   */
+  static parse(path, type, body) {
+    if (type !== 'json') {
+      return body;
+    }
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new DataLoadError(`Failed to parse ${path}: ${error.message}`, { path, cause: error });
+    }
+  }
+
+  /**
+   * Fetch a file, falling back to the stored copy. Bodies that do not parse
+   * are neither stored nor used.
+   * @param {string} path Path
+   * @param {Object} options See load()
+   * @returns {Promise<Object>} Record with body, data (parsed body), etag, lastModified, time and source
+   */
+  static async loadRecord(path, options = {}) {
+    const type = options.type || 'json';
+    const maxAge = options.maxAge ?? DataLoader.MAX_AGE;
+    let stored = await DataLoader.readStored(path);
+    if (stored) {
+      try {
+        stored = { ...stored, data: DataLoader.parse(path, type, stored.body) };
+      } catch (error) {
+        stored = null;
+      }
+    }
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    if (stored && (offline || Date.now() - stored.time < maxAge)) {
+      return { ...stored, source: offline ? 'offline' : 'cache' };
+    }
+
+    try {
+      const response = await DataLoader.fetchWithRetry(path, stored, options.retries ?? DataLoader.RETRIES);
+      if (response.status === 304 && stored) {
+        const { data, ...record } = { ...stored, time: Date.now() };
+        await DataLoader.writeStored(path, record);
+        return { ...record, data, source: 'revalidated' };
+      }
+      const body = await response.text();
+      const data = DataLoader.parse(path, type, body);
+      const record = {
+        body,
+        etag: response.headers.get('ETag') || '',
+        lastModified: response.headers.get('Last-Modified') || '',
+        time: Date.now()
+      };
+      await DataLoader.writeStored(path, record);
+      return { ...record, data, source: 'network' };
+    } catch (error) {
+      if (stored) {
+        console.warn(`Using stored copy of ${path}:`, error.message);
+        return { ...stored, source: 'offline' };
+      }
+      throw error instanceof DataLoadError ? error : new DataLoadError(`Failed to load ${path}: ${error.message}`, {
+        path,
+        offline,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Request a file, retrying network errors, 429 and 5xx responses
+   * @param {string} path Path
+   * @param {Object|null} stored Stored record used for conditional headers
+   * @param {number} retries Retries after the first attempt
+   * @returns {Promise<Response>} OK or 304 response
+   */
+  static async fetchWithRetry(path, stored, retries) {
+    const headers = {};
+    if (stored?.etag) headers['If-None-Match'] = stored.etag;
+    if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error;
+      try {
+        // no-cache: the HTTP cache must not answer for us, revalidation is done here
+        response = await fetch(path, { headers, cache: 'no-cache' });
+      } catch (fetchError) {
+        error = new DataLoadError(`Failed to load ${path}: ${fetchError.message}`, {
+          path,
+          offline: typeof navigator !== 'undefined' && navigator.onLine === false,
+          cause: fetchError
+        });
+      }
+
+      if (response) {
+        if (response.ok || response.status === 304) {
+          return response;
+        }
+        error = new DataLoadError(`Failed to load ${path}: HTTP ${response.status}`, { path, status: response.status });
+        // Other client errors (404, 403, ...) will not go away by retrying
+        if (response.status !== 429 && response.status < 500) {
+          throw error;
+        }
+      }
+
+      if (attempt >= retries) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, DataLoader.BACKOFF * 2 ** attempt));
+    }
+  }
+
+  /**
+   * Whether the Cache API can be used (it requires a secure context)
+   * @returns {boolean} Cache API available
+   */
+  static hasCacheApi() {
+    return typeof caches !== 'undefined' && typeof window !== 'undefined' && window.isSecureContext;
+  }
+
+  /**
+   * Key of a stored file, absolute so it is shared between pages
+   * @param {string} path Path
+   * @returns {string} Key
+   */
+  static getStoreKey(path) {
+    const url = new URL(path, document.baseURI).href;
+    return DataLoader.hasCacheApi() ? url : `${DataLoader.CACHE_NAME}:${url}`;
+  }
+
+  /**
+   * Read the stored copy of a file
+   * @param {string} path Path
+   * @returns {Promise<Object|null>} Record
+   */
+  static async readStored(path) {
+    try {
+      if (DataLoader.hasCacheApi()) {
+        const cache = await caches.open(DataLoader.CACHE_NAME);
+        const response = await cache.match(DataLoader.getStoreKey(path));
+        return response ? await response.json() : null;
+      }
+      return JSON.parse(localStorage.getItem(DataLoader.getStoreKey(path)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a copy of a file
+   * @param {string} path Path
+   * @param {Object} record Record with body, etag, lastModified and time
+   * @returns {Promise<void>}
+   */
+  static async writeStored(path, record) {
+    try {
+      if (DataLoader.hasCacheApi()) {
+        const cache = await caches.open(DataLoader.CACHE_NAME);
+        await cache.put(DataLoader.getStoreKey(path), new Response(JSON.stringify(record), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      } else {
+        localStorage.setItem(DataLoader.getStoreKey(path), JSON.stringify(record));
+      }
+    } catch (error) {
+      // Storage may be full or unavailable; the file is still used for this page view
+    }
+  }
+}
+
+// Loads in progress or done on this page, and where each file came from
+DataLoader.loads = new Map();
+DataLoader.sources = new Map();
+
+DataLoader.DataLoadError = DataLoadError;
+
+// Export loader (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.DataLoader = DataLoader;
+  window.DataLoadError = DataLoadError;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataLoader;
+}
@@ -0,0 +1,263 @@
+/**
+ * Feed Formatter
+ * Atom, RSS 2.0 and JSON Feed documents of the lab's news (data/news.json)
+ * and newly added papers, written by scripts/build-feeds.js
+ *
+ * Items get stable ids: papers use their landing page URL, news items their
+ * "id" field, or else their date and a hash of their text. News items whose
+ * date is not an ISO date ("2024", "2024-07", "2024-07-15"), such as pinned
+ * "⭐" items, have no point in time and are left out of the feeds. Expired
+ * news items stay in: the feeds are a history, not the current front page.
+ */
+class FeedFormatter {
+  /**
+   * Most recent items kept in a feed
+   */
+  static get MAX_ITEMS() {
+    return 50;
+  }
+
+  /**
+   * Longest title derived from a news item's text
+   */
+  static get TITLE_LENGTH() {
+    return 100;
+  }
+
+  /**
+   * Point in time of an ISO date (UTC midnight, first day of the month/year
+   * for partial dates)
+   * @param {*} value Date text
+   * @returns {Date|null} Date, or null for free text
+   */
+  static parseDate(value) {
+    const match = String(value ?? '').trim().match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return null;
+    const [, year, month = '01', day = '01'] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    // Reject overflowing dates such as 2024-13 or 2024-02-30
+    return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day) ? date : null;
+  }
+
+  /**
+   * Escape text for XML element content and attributes
+   * @param {*} text Text
+   * @returns {string} Escaped text
+   */
+  static escapeXml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Make the href/src URLs of a markup snippet absolute, since feed readers
+   * show it outside the site
+   * @param {string} markup Markup
+   * @param {string} base Site address
+   * @returns {string} Markup
+   */
+  static absolutize(markup, base) {
+    return String(markup ?? '').replace(/\b(href|src)=(["'])([^"']*)\2/gi, (match, attribute, quote, url) => {
+      try {
+        return `${attribute}=${quote}${new URL(url, base).href}${quote}`;
+      } catch (error) {
+        return match;
+      }
+    });
+  }
+
+  /**
+   * Feed item of a news item
+   * @param {Object} item Item of news.json
+   * @param {Object} site Contents of site.json
+   * @returns {Object|null} Feed item, or null when the item has no ISO date
+   */
+  static newsItem(item, site) {
+    const date = FeedFormatter.parseDate(item.date);
+    if (!date) return null;
+
+    const text = StructuredData.toText(item.content_html || item.content);
+    const key = item.id || `${item.date}-${HtmlTemplate.hash(text)}`;
+    const title = text.length > FeedFormatter.TITLE_LENGTH ? `${text.slice(0, FeedFormatter.TITLE_LENGTH - 1)}…` : text;
+    // Related papers are linked after the text; the first one is the item's link
+    const papers = (item.papers || []).map(citeKey => new URL(`papers/${encodeURIComponent(citeKey)}.html`, site.url).href);
+    const paperLinks = papers.map((url, index) => HtmlTemplate.html`<a href="${url}">${papers.length > 1 ? `Paper ${index + 1}` : 'Paper'}</a>`);
+    return {
+      id: `${site.url}#news-${key}`,
+      url: papers[0] || site.url,
+      title,
+      contentHtml: (item.content_html
+        ? FeedFormatter.absolutize(item.content_html, site.url)
+        : HtmlTemplate.escape(item.content || '')) +
+        (paperLinks.length > 0 ? ` (${HtmlTemplate.join(paperLinks, ', ')})` : ''),
+      date,
+      categories: ['News', ...(item.category ? [item.category.charAt(0).toUpperCase() + item.category.slice(1)] : [])]
+    };
+  }
+
+  /**
+   * Feed item of a paper
+   * @param {Object} pub Parsed entry
+   * @param {Object} publicationConfig Publication config
+   * @param {Object} site Contents of site.json
+   * @param {string} added ISO date the paper was added to the site
+   * @returns {Object|null} Feed item, or null without a valid date
+   */
+  static publicationItem(pub, publicationConfig, site, added) {
+    const date = FeedFormatter.parseDate(added);
+    if (!date) return null;
+
+    const { html } = HtmlTemplate;
+    const pubConfig = publicationConfig?.publications?.[pub.citeKey] || {};
+    const links = PublicationRenderer.getLinks(pub, pubConfig);
+    const url = new URL(PublicationRenderer.getPaperUrl(pub), site.url).href;
+    const authors = CitationFormatter.getAuthors(pub).names.map(name => BibtexParser.formatName(name)).join(', ');
+    const venue = [CitationFormatter.getContainer(pub), pub.year].filter(Boolean).join(', ');
+    const linkList = [['PDF', links.pdf], ['Code', links.code], ['Project', links.project], ['DOI', links.doi]]
+      .filter(([, href]) => href)
+      .map(([label, href]) => html`<a href="${new URL(href, site.url).href}">${label}</a>`);
+
+    return {
+      id: url,
+      url,
+      title: pub.title,
+      contentHtml: String(html`<p>${authors}</p><p><em>${venue}</em>${pubConfig.accept_info ? ` (${pubConfig.accept_info})` : ''}</p>${
+        linkList.length > 0 ? html`<p>${HtmlTemplate.join(linkList, ' | ')}</p>` : ''}`),
+      date,
+      categories: ['Publication', ...(pubConfig.topics || [])]
+    };
+  }
+
+  /**
+   * Feed items, newest first; same-date items keep the given order
+   * @param {Array<Object|null>} items Feed items (nulls are dropped)
+   * @returns {Array<Object>} At most MAX_ITEMS items
+   */
+  static sortItems(items) {
+    return items
+      .filter(Boolean)
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => b.item.date - a.item.date || a.index - b.index)
+      .slice(0, FeedFormatter.MAX_ITEMS)
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Feed-level data shared by all formats
+   * @param {Object} site Contents of site.json
+   * @param {Array<Object>} items Sorted feed items
+   * @param {Object} paths Feed file paths relative to the site root, by format
+   * @returns {Object} Feed
+   */
+  static createFeed(site, items, paths) {
+    return {
+      title: site.title,
+      description: `News and new publications of ${site.person?.name || site.title}`,
+      url: site.url,
+      author: site.person?.name || site.title,
+      // The newest item, not the build time, so an unchanged feed is byte-identical
+      updated: items.length > 0 ? items[0].date : new Date(0),
+      links: Object.fromEntries(Object.entries(paths).map(([format, file]) => [format, new URL(file, site.url).href])),
+      items
+    };
+  }
+
+  /**
+   * Atom 1.0 document
+   * @param {Object} feed Feed from createFeed()
+   * @returns {string} XML
+   */
+  static toAtom(feed) {
+    const x = FeedFormatter.escapeXml;
+    const entries = feed.items.map(item => `  <entry>
+    <id>${x(item.id)}</id>
+    <title>${x(item.title)}</title>
+    <link rel="alternate" href="${x(item.url)}"/>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+${item.categories.map(category => `    <category term="${x(category)}"/>\n`).join('')}    <content type="html">${x(item.contentHtml)}</content>
+  </entry>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${x(feed.url)}</id>
+  <title>${x(feed.title)}</title>
+  <subtitle>${x(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${x(feed.url)}"/>
+  <link rel="self" type="application/atom+xml" href="${x(feed.links.atom)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author>
+    <name>${x(feed.author)}</name>
+    <uri>${x(feed.url)}</uri>
+  </author>
+${entries}</feed>
+`;
+  }
+
+  /**
+   * RSS 2.0 document
+   * @param {Object} feed Feed from createFeed()
+   * @returns {string} XML
+   */
+  static toRss(feed) {
+    const x = FeedFormatter.escapeXml;
+    const items = feed.items.map(item => `    <item>
+      <title>${x(item.title)}</title>
+      <link>${x(item.url)}</link>
+      <guid isPermaLink="${item.id === item.url}">${x(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+${item.categories.map(category => `      <category>${x(category)}</category>\n`).join('')}      <description>${x(item.contentHtml)}</description>
+    </item>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${x(feed.title)}</title>
+    <link>${x(feed.url)}</link>
+    <description>${x(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${x(feed.links.rss)}" rel="self" type="application/rss+xml"/>
+${items}  </channel>
+</rss>
+`;
+  }
+
+  /**
+   * JSON Feed 1.1 document
+   * @param {Object} feed Feed from createFeed()
+   * @returns {string} JSON
+   */
+  static toJsonFeed(feed) {
+    return `${JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.url,
+      feed_url: feed.links.json,
+      description: feed.description,
+      language: 'en',
+      authors: [{ name: feed.author, url: feed.url }],
+      items: feed.items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        content_html: item.contentHtml,
+        date_published: item.date.toISOString(),
+        tags: item.categories
+      }))
+    }, null, 2)}\n`;
+  }
+}
+
+// Export formatter (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.FeedFormatter = FeedFormatter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeedFormatter;
+}
@@ -14,6 +14,9 @@ document.addEventListener('DOMContentLoaded', function() {
                     </div>
                     <div class="footer-col">
                         <p class="update-time">Last updated: <span id="update-time"></span></p>
+                        <p class="offline-indicator" role="status" hidden>
+                            <i class="fas fa-wifi" aria-hidden="true"></i> Offline: showing saved content
+                        </p>
                     </div>
                 </div>
             </div>
@@ -50,6 +53,41 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    /**
+     * Show or hide the offline indicator
+     * @param {boolean} offline Whether cached content is being shown
+     */
+    function setOffline(offline) {
+        const indicator = document.querySelector('.offline-indicator');
+        if (indicator) {
+            indicator.hidden = !offline;
+        }
+    }
+    
+    /**
+     * Register the service worker (sw.js) and show the offline indicator when
+     * the browser is offline or the worker answered from its cache after a
+     * failed request; it is hidden again when a request reaches the network
+     */
+    function initializeOfflineSupport() {
+        setOffline(navigator.onLine === false);
+        window.addEventListener('offline', () => setOffline(true));
+        window.addEventListener('online', () => setOffline(false));
+        
+        // Service workers need http(s); file:// previews simply run without one
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+        
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && (event.data.type === 'offline' || event.data.type === 'online')) {
+                setOffline(event.data.type === 'offline');
+            }
+        });
+        // updateViaCache: 'none' makes update checks see a new sw-manifest.js right away
+        navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' }).catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+    
     /**
      * Initialize footer with all components
      */
@@ -60,6 +98,7 @@ document.addEventListener('DOMContentLoaded', function() {
             // Set update time after HTML is inserted
             setTimeout(setUpdateTime, 100);
         }
+        initializeOfflineSupport();
     }
     
     // Initialize footer
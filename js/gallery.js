@@ -38,11 +38,7 @@ class GalleryManager {
      */
     async loadGalleryData() {
         try {
-            const response = await fetch('data/gallery.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await DataLoader.json('data/gallery.json');
             this.galleryData = data.gallery;
             this.filteredData = [...this.galleryData];
             this.config = data.config;
@@ -220,31 +216,32 @@ class GalleryManager {
         const imageCount = item.images.length;
 
         // Create image carousel structure for multiple images
-        let imageCarouselHTML = '';
+        const { html } = HtmlTemplate;
+        let imageCarousel = '';
         if (imageCount > 1) {
-            imageCarouselHTML = `
+            imageCarousel = html`
                 <div class="card-carousel">
                     <div class="card-carousel-container">
-                        ${item.images.map((img, index) => `
+                        ${item.images.map((img, index) => html`
                             <img src="${img.src}" alt="${img.alt}" loading="lazy" 
                                  class="card-carousel-image ${index === 0 ? 'active' : ''}" 
                                  data-index="${index}">
-                        `).join('')}
+                        `)}
                     </div>
                     <div class="card-carousel-indicators">
-                        ${item.images.map((_, index) => `
+                        ${item.images.map((_, index) => html`
                             <span class="indicator ${index === 0 ? 'active' : ''}" data-index="${index}"></span>
-                        `).join('')}
+                        `)}
                     </div>
                 </div>
             `;
         } else {
-            imageCarouselHTML = `<img src="${item.images[0].src}" alt="${item.images[0].alt}" loading="lazy">`;
+            imageCarousel = html`<img src="${item.images[0].src}" alt="${item.images[0].alt}" loading="lazy">`;
         }
 
-        itemElement.innerHTML = `
+        HtmlTemplate.render(itemElement, html`
             <div class="gallery-item-image">
-                ${imageCarouselHTML}
+                ${imageCarousel}
                 <div class="image-overlay">
                     <div class="overlay-content">
                         <h3>${item.title}</h3>
@@ -258,13 +255,13 @@ class GalleryManager {
                             </span>
                         </div>
                         <div class="item-tags">
-                            ${item.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                            ${item.tags.map(tag => html`<span class="tag">${tag}</span>`)}
                         </div>
                     </div>
                 </div>
-                ${item.featured ? '<div class="featured-badge"><i class="fas fa-star"></i></div>' : ''}
+                ${item.featured ? html`<div class="featured-badge"><i class="fas fa-star"></i></div>` : ''}
             </div>
-        `;
+        `);
 
         // Add click event to open lightbox
         itemElement.addEventListener('click', () => this.openLightbox(item));
@@ -391,9 +388,9 @@ class GalleryManager {
         this.currentLightboxItem.images.forEach((image, index) => {
             const imageElement = document.createElement('div');
             imageElement.className = 'slider-image';
-            imageElement.innerHTML = `
+            HtmlTemplate.render(imageElement, HtmlTemplate.html`
                 <img src="${image.src}" alt="${image.alt}">
-            `;
+            `);
             sliderTrack.appendChild(imageElement);
         });
     }
@@ -574,14 +571,14 @@ class GalleryManager {
      */
     showError(message) {
         const container = document.getElementById('galleryContainer');
-        container.innerHTML = `
+        HtmlTemplate.render(container, HtmlTemplate.html`
             <div class="error-message">
                 <i class="fas fa-exclamation-triangle"></i>
                 <h3>加载失败</h3>
                 <p>${message}</p>
                 <button onclick="location.reload()" class="retry-btn">重试</button>
             </div>
-        `;
+        `);
         this.showLoading(false);
     }
 }
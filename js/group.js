@@ -1,34 +1,30 @@
 /**
  * Group Members Management
- * Loads and displays group members from configuration file
+ * Loads and displays group members from configuration file. The same markup
+ * is written into group.html by scripts/prerender.js
  */
-document.addEventListener('DOMContentLoaded', function() {
-  
+class GroupMembers {
   /**
-   * Load group members data from JSON file
+   * Page sections: container id, members.json list and state messages
    */
-  async function loadGroupMembers() {
-    try {
-      const response = await fetch('data/members.json');
-      if (!response.ok) {
-        throw new Error('Failed to load group members data');
-      }
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Error loading group members:', error);
-      return null;
-    }
+  static get SECTIONS() {
+    return {
+      phd: { container: 'phd-members', list: 'phd_students', loading: 'Loading PhD students...', empty: 'No PhD students to display yet.', error: 'Failed to load PhD students data.' },
+      master: { container: 'master-members', list: 'master_students', loading: 'Loading Master students...', empty: 'No Master students to display yet.', error: 'Failed to load Master students data.' },
+      undergraduate: { container: 'undergraduate-members', list: 'undergraduate_students', loading: 'Loading Undergraduate students...', empty: 'No Undergraduate students to display yet.', error: 'Failed to load Undergraduate students data.' },
+      alumni: { container: 'alumni-list', list: 'alumni', loading: 'Loading alumni...', empty: 'No alumni to display yet.', error: 'Failed to load alumni data.' }
+    };
   }
-  
+
   /**
    * Create member card HTML
    * @param {Object} member Member data object
-   * @returns {string} HTML string for member card
+   * @returns {SafeHtml} Markup for member card
    */
-  function createMemberCard(member) {
+  static createMemberCard(member) {
+    const { html } = HtmlTemplate;
     // Create links with proper icons and classes
-    const linksHtml = Object.entries(member.links || {}).map(([platform, url]) => {
+    const links = Object.entries(member.links || {}).map(([platform, url]) => {
       let iconClass, linkClass;
       
       switch(platform) {
@@ -61,37 +57,38 @@ document.addEventListener('DOMContentLoaded', function() {
           linkClass = 'other';
       }
       
-      const target = platform === 'homepage' && url.startsWith('index.html') ? '' : 'target="_blank"';
-      return `<a href="${url}" class="${linkClass}" ${target} title="${platform}"><i class="${iconClass}"></i></a>`;
-    }).join('');
+      const target = platform === 'homepage' && String(url).startsWith('index.html') ? '' : html` target="_blank"`;
+      return html`<a href="${url}" class="${linkClass}"${target} title="${platform}"><i class="${iconClass}"></i></a>`;
+    });
     
     const emailDisplay = member.email ? 
-      `<div class="member-email">${member.email}</div>` : '';
+      html`<div class="member-email">${member.email}</div>` : '';
     
-    return `
+    return html`
       <div class="member-card">
         <img src="${member.image}" alt="${member.name}" class="member-image" onerror="this.src='images/site/placeholder-person.svg'">
         <h3 class="member-name">${member.name}</h3>
         <p class="member-title">${member.title}</p>
-        ${member.bio ? `<p class="member-bio">${member.bio}</p>` : ''}
+        ${member.bio ? html`<p class="member-bio">${member.bio}</p>` : ''}
         <div class="member-contact">
           ${emailDisplay}
         </div>
         <div class="member-links">
-          ${linksHtml}
+          ${links}
         </div>
       </div>
     `;
   }
-  
+
   /**
    * Create alumni list item HTML
    * @param {Object} alumni Alumni data object
-   * @returns {string} HTML string for alumni list item
+   * @returns {SafeHtml} Markup for alumni list item
    */
-  function createAlumniCard(alumni) {
+  static createAlumniCard(alumni) {
+    const { html } = HtmlTemplate;
     // Create links for alumni
-    const linksHtml = Object.entries(alumni.links || {}).map(([platform, url]) => {
+    const links = Object.entries(alumni.links || {}).map(([platform, url]) => {
       let iconClass;
       
       switch(platform) {
@@ -111,43 +108,43 @@ document.addEventListener('DOMContentLoaded', function() {
           iconClass = 'fas fa-link';
       }
       
-      return `<a href="${url}" target="_blank" title="${platform}"><i class="${iconClass}"></i></a>`;
-    }).join('');
+      return html`<a href="${url}" target="_blank" title="${platform}"><i class="${iconClass}"></i></a>`;
+    });
     
-    return `
+    return html`
       <li class="alumni-item">
         <div class="alumni-info">
           <strong class="alumni-name">${alumni.name}</strong>
           <div class="alumni-position-line">
             <span class="alumni-title">${alumni.title}</span>
-            ${alumni.current_position ? `<span class="alumni-current">→ ${alumni.current_position}</span>` : ''}
+            ${alumni.current_position ? html`<span class="alumni-current">→ ${alumni.current_position}</span>` : ''}
           </div>
         </div>
         <div class="alumni-links">
-          ${linksHtml}
+          ${links}
         </div>
       </li>
     `;
   }
-  
+
   /**
    * Create welcome message HTML
    * @param {Object} welcomeData Welcome message data
-   * @returns {string} HTML string for welcome message
+   * @returns {SafeHtml} Markup for welcome message
    */
-  function createWelcomeMessage(welcomeData) {
-    const opportunitiesHtml = welcomeData.opportunities
-      .map(opportunity => `<li>${opportunity}</li>`)
-      .join('');
+  static createWelcomeMessage(welcomeData) {
+    const { html } = HtmlTemplate;
+    const opportunities = welcomeData.opportunities
+      .map(opportunity => html`<li>${opportunity}</li>`);
     
-    return `
+    return html`
       <div class="welcome-message">
         <h2>${welcomeData.title}</h2>
         <p class="welcome-description">${welcomeData.description}</p>
         <div class="opportunities">
           <h3>Available Opportunities:</h3>
           <ul>
-            ${opportunitiesHtml}
+            ${opportunities}
           </ul>
         </div>
         <p class="contact-info">
@@ -159,110 +156,104 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   /**
-   * Render group members on the page
-   * @param {Object} data Group members data
+   * Markup of one page section
+   * @param {Object} data Contents of members.json
+   * @param {string} section Key of SECTIONS
+   * @returns {SafeHtml} Markup
    */
-  function renderGroupMembers(data) {
-    // Render PhD students
-    const phdGrid = document.getElementById('phd-members');
-    if (phdGrid) {
-      if (data.phd_students && data.phd_students.length > 0) {
-        phdGrid.innerHTML = data.phd_students
-          .map(member => createMemberCard(member))
-          .join('');
-      } else {
-        phdGrid.innerHTML = '<p class="no-members state-message">No PhD students to display yet.</p>';
-      }
+  static renderSection(data, section) {
+    const { html } = HtmlTemplate;
+    const { list, empty } = GroupMembers.SECTIONS[section];
+    const people = data[list] || [];
+    if (section === 'alumni') {
+      return people.length > 0
+        ? html`<ul class="alumni-ul">${people.map(alumni => GroupMembers.createAlumniCard(alumni))}</ul>`
+        : html`<p class="no-alumni state-message">${empty}</p>`;
     }
-    
-    // Render Master students
-    const masterGrid = document.getElementById('master-members');
-    if (masterGrid) {
-      if (data.master_students && data.master_students.length > 0) {
-        masterGrid.innerHTML = data.master_students
-          .map(member => createMemberCard(member))
-          .join('');
-      } else {
-        masterGrid.innerHTML = '<p class="no-members state-message">No Master students to display yet.</p>';
+    return people.length > 0
+      ? html`${people.map(member => GroupMembers.createMemberCard(member))}`
+      : html`<p class="no-members state-message">${empty}</p>`;
+  }
+}
+
+// Export group members (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.GroupMembers = GroupMembers;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GroupMembers;
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+  
+    /**
+     * Load group members data from JSON file
+     */
+    async function loadGroupMembers() {
+      try {
+        return await DataLoader.json('data/members.json');
+      } catch (error) {
+        console.error('Error loading group members:', error);
+        return null;
       }
     }
-    
-    // Render Undergraduate students
-    const undergraduateGrid = document.getElementById('undergraduate-members');
-    if (undergraduateGrid) {
-      if (data.undergraduate_students && data.undergraduate_students.length > 0) {
-        undergraduateGrid.innerHTML = data.undergraduate_students
-          .map(member => createMemberCard(member))
-          .join('');
-      } else {
-        undergraduateGrid.innerHTML = '<p class="no-members state-message">No Undergraduate students to display yet.</p>';
-      }
+  
+    /**
+     * Section containers present on this page
+     * @returns {Array<[string, HTMLElement]>} Section keys and containers
+     */
+    function getSectionContainers() {
+      return Object.entries(GroupMembers.SECTIONS)
+        .map(([section, { container }]) => [section, document.getElementById(container)])
+        .filter(([, element]) => element);
     }
+  
+    /**
+     * Render group members on the page, keeping prerendered sections that are up to date
+     * @param {Object} data Group members data
+     */
+    function renderGroupMembers(data) {
+      getSectionContainers().forEach(([section, element]) => {
+        HtmlTemplate.hydrate(element, GroupMembers.renderSection(data, section));
+      });
     
-    // Render Alumni
-    const alumniList = document.querySelector('.alumni-list');
-    if (alumniList) {
-      if (data.alumni && data.alumni.length > 0) {
-        alumniList.innerHTML = `
-          <ul class="alumni-ul">
-            ${data.alumni.map(alumni => createAlumniCard(alumni)).join('')}
-          </ul>
-        `;
-      } else {
-        alumniList.innerHTML = '<p class="no-alumni state-message">No alumni to display yet.</p>';
-      }
+      // Schema.org data of the members (see StructuredData)
+      StructuredData.load()
+        .then(site => StructuredData.inject('ld-members', StructuredData.graph(StructuredData.members(data, site))))
+        .catch(error => console.error('Failed to add member structured data:', error));
     }
-  }
   
-  /**
-   * Initialize group page
-   */
-  async function init() {
-    // Show loading states for all sections
-    const phdGrid = document.getElementById('phd-members');
-    const masterGrid = document.getElementById('master-members');
-    const undergraduateGrid = document.getElementById('undergraduate-members');
-    const alumniList = document.querySelector('.alumni-list');
+    /**
+     * Initialize group page
+     */
+    async function init() {
+      const sections = getSectionContainers();
     
-    if (phdGrid) {
-      phdGrid.innerHTML = '<div class="loading" aria-busy="true">Loading PhD students...</div>';
-    }
-    if (masterGrid) {
-      masterGrid.innerHTML = '<div class="loading" aria-busy="true">Loading Master students...</div>';
-    }
-    if (undergraduateGrid) {
-      undergraduateGrid.innerHTML = '<div class="loading" aria-busy="true">Loading Undergraduate students...</div>';
-    }
-    if (alumniList) {
-      alumniList.innerHTML = '<div class="loading" aria-busy="true">Loading alumni...</div>';
-    }
+      // Show loading states, unless the page was prerendered with the members
+      sections.forEach(([section, element]) => {
+        if (!element.hasAttribute('data-prerendered')) {
+          HtmlTemplate.render(element, HtmlTemplate.html`<div class="loading" aria-busy="true">${GroupMembers.SECTIONS[section].loading}</div>`);
+        }
+      });
     
-    const groupData = await loadGroupMembers();
-    if (groupData) {
-      renderGroupMembers(groupData);
-    } else {
-      console.error('Failed to load group members data');
-      if (phdGrid) {
-        phdGrid.innerHTML = '<p class="state-message is-error">Failed to load PhD students data.</p>';
-      }
-      if (masterGrid) {
-        masterGrid.innerHTML = '<p class="state-message is-error">Failed to load Master students data.</p>';
-      }
-      if (undergraduateGrid) {
-        undergraduateGrid.innerHTML = '<p class="state-message is-error">Failed to load Undergraduate students data.</p>';
-      }
-      if (alumniList) {
-        alumniList.innerHTML = '<p class="state-message is-error">Failed to load alumni data.</p>';
+      const groupData = await loadGroupMembers();
+      if (groupData) {
+        renderGroupMembers(groupData);
+      } else {
+        console.error('Failed to load group members data');
+        sections.forEach(([section, element]) => {
+          // Prerendered members are still better than an error
+          if (!element.hasAttribute('data-prerendered')) {
+            HtmlTemplate.render(element, HtmlTemplate.html`<p class="state-message is-error">${GroupMembers.SECTIONS[section].error}</p>`);
+          }
+        });
       }
     }
-  }
   
-  // Initialize if we're on the group page
-  // Check for group page elements to determine if we should initialize
-  if (document.getElementById('phd-members') || 
-      document.getElementById('master-members') || 
-      document.getElementById('undergraduate-members') || 
-      document.querySelector('.alumni-list')) {
-    init();
-  }
-});
\ No newline at end of file
+    // Initialize if we're on the group page
+    if (getSectionContainers().length > 0) {
+      init();
+    }
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * HTML Templates
+ * Tagged template for building markup from data files without injecting it:
+ *
+ *   const { html, raw } = HtmlTemplate;
+ *   HtmlTemplate.render(container, html`<a href="${member.url}">${member.name}</a>`);
+ *
+ * Interpolated values are escaped; values in URL attributes (href, src, ...)
+ * are also sanitized so only http(s), mailto, tel and relative URLs get
+ * through. Arrays are concatenated, and null/undefined/false render nothing.
+ * Trusted markup (e.g. news "content_html") must be opted in with raw().
+ */
+class SafeHtml {
+  /**
+   * @param {string} html Markup that is already safe to insert
+   */
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+class HtmlTemplate {
+  /**
+   * URL schemes allowed in URL attributes; anything else becomes "#"
+   */
+  static get SAFE_PROTOCOLS() {
+    return ['http', 'https', 'mailto', 'tel'];
+  }
+
+  /**
+   * Attributes whose values are URLs
+   */
+  static get URL_ATTRIBUTES() {
+    return ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href'];
+  }
+
+  /**
+   * Escape text for use in element content or a quoted attribute
+   * @param {*} text Text
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Mark trusted markup so it is inserted without escaping
+   * @param {string} html Trusted markup
+   * @returns {SafeHtml} Safe markup
+   */
+  static raw(html) {
+    return new SafeHtml(String(html ?? ''));
+  }
+
+  /**
+   * Sanitize a URL: relative URLs and safe schemes are kept, "javascript:"
+   * and other schemes are replaced by "#"
+   * @param {*} url URL
+   * @returns {string} Safe URL (not yet escaped)
+   */
+  static url(url) {
+    const value = String(url ?? '').trim();
+    // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+    const scheme = value.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !HtmlTemplate.SAFE_PROTOCOLS.includes(scheme[1].toLowerCase())) {
+      return '#';
+    }
+    return value;
+  }
+
+  /**
+   * Tagged template: html`<p>${text}</p>`
+   * @param {Array<string>} strings Template strings
+   * @param {...*} values Interpolated values
+   * @returns {SafeHtml} Markup
+   */
+  static html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+      const attribute = strings[index].match(/([\w:-]+)\s*=\s*["']?$/);
+      const isUrl = Boolean(attribute) && HtmlTemplate.URL_ATTRIBUTES.includes(attribute[1].toLowerCase());
+      markup += HtmlTemplate.format(value, isUrl) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+  }
+
+  /**
+   * Markup for one interpolated value
+   * @param {*} value Value
+   * @param {boolean} isUrl Whether the value is a URL attribute
+   * @returns {string} Markup
+   */
+  static format(value, isUrl = false) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.html;
+    if (Array.isArray(value)) return value.map(item => HtmlTemplate.format(item, isUrl)).join('');
+    return HtmlTemplate.escape(isUrl ? HtmlTemplate.url(value) : value);
+  }
+
+  /**
+   * Join markup fragments with a separator
+   * @param {Array} items Fragments (plain strings are escaped)
+   * @param {string} separator Separator text
+   * @returns {SafeHtml} Markup
+   */
+  static join(items, separator = '') {
+    return new SafeHtml(items.map(item => HtmlTemplate.format(item)).join(HtmlTemplate.escape(separator)));
+  }
+
+  /**
+   * Replace the content of an element
+   * @param {Element} element Target element
+   * @param {SafeHtml|Array} template Markup from html``
+   * @returns {Element} The element
+   */
+  static render(element, template) {
+    element.innerHTML = HtmlTemplate.format(template);
+    element.removeAttribute('data-prerendered');
+    return element;
+  }
+
+  /**
+   * Short hash of markup, written by scripts/prerender.js as data-prerendered
+   * (32-bit FNV-1a, identical in Node and the browser)
+   * @param {string} markup Markup
+   * @returns {string} Hex hash
+   */
+  static hash(markup) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < markup.length; i++) {
+      hash ^= markup.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Render into an element unless it already holds the same prerendered markup
+   * @param {Element} element Target element
+   * @param {SafeHtml|Array} template Markup from html``
+   * @returns {boolean} Whether the element was (re)rendered
+   */
+  static hydrate(element, template) {
+    const markup = HtmlTemplate.format(template);
+    if (element.getAttribute('data-prerendered') === HtmlTemplate.hash(markup)) {
+      element.removeAttribute('data-prerendered');
+      return false;
+    }
+    HtmlTemplate.render(element, HtmlTemplate.raw(markup));
+    return true;
+  }
+}
+
+HtmlTemplate.SafeHtml = SafeHtml;
+
+// Export templates (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.HtmlTemplate = HtmlTemplate;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlTemplate;
+}
@@ -22,7 +22,12 @@ class NavigationGenerator {
     getCurrentPage() {
         const currentPath = window.location.pathname;
         const currentFile = currentPath.split('/').pop() || 'index.html';
-        
+
+        // Paper landing pages (papers/<citeKey>.html) belong to Publications
+        if (currentPath.split('/').slice(-2, -1)[0] === 'papers') {
+            return 'publications';
+        }
+
         // Map file names to page identifiers
         const pageMap = {
             'index.html': 'home',
@@ -43,7 +48,7 @@ class NavigationGenerator {
     generateNavigation() {
         const currentPage = this.getCurrentPage();
         
-        const navigationHTML = `
+        const navigationHTML = HtmlTemplate.html`
             <header class="site-header">
                 <div class="wrapper">
                     <a class="site-title" href="index.html">${this.siteTitle}</a>
@@ -69,14 +74,14 @@ class NavigationGenerator {
      * Generate navigation links with proper active state
      */
     generateNavigationLinks(currentPage) {
-        return this.navigationItems
+        const { html } = HtmlTemplate;
+        return HtmlTemplate.join(this.navigationItems
             .filter(item => !item.hidden) // Filter out hidden items
             .map(item => {
                 const activeClass = item.id === currentPage ? ' active' : '';
-                const currentAttr = item.id === currentPage ? ' aria-current="page"' : '';
-                return `<a class="page-link${activeClass}" href="${item.href}"${currentAttr}>${item.name}</a>`;
-            })
-            .join('\n                            ');
+                const currentAttr = item.id === currentPage ? html` aria-current="page"` : '';
+                return html`<a class="page-link${activeClass}" href="${item.href}"${currentAttr}>${item.name}</a>`;
+            }), '\n                            ');
     }
 
     /**
@@ -95,7 +100,7 @@ class NavigationGenerator {
         // Insert at the beginning of body
         const body = document.body;
         if (body) {
-            body.insertAdjacentHTML('afterbegin', navigationHTML);
+            body.insertAdjacentHTML('afterbegin', String(navigationHTML));
         }
     }
 
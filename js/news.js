@@ -1,24 +1,130 @@
-// News section data loader for index page
+// News section data loader for index page (markup is shared with scripts/prerender.js)
+//
+// Items of data/news.json:
+//   date          ISO date ("2024", "2024-07", "2024-07-15"), shown as "Jul 2024";
+//                 other text (such as "⭐") is shown as written
+//   content_html  trusted markup, or content for plain text
+//   category      "paper", "award", "talk" or "hiring" (optional)
+//   papers        citeKeys of related papers, linked to their pages (optional)
+//   expires       ISO date after which the item is hidden ("until" works too)
+//   pin           listed first
 (function () {
-    function escapeHtml(text) {
-        return String(text)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;');
+    var html = HtmlTemplate.html;
+
+    // Items shown at first, and added by each "Show more"
+    var PAGE_SIZE = 10;
+
+    var CATEGORIES = {
+        paper: { label: 'Paper', icon: 'fas fa-file-alt' },
+        award: { label: 'Award', icon: 'fas fa-trophy' },
+        talk: { label: 'Talk', icon: 'fas fa-microphone' },
+        hiring: { label: 'Hiring', icon: 'fas fa-user-plus' }
+    };
+
+    var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    function isIsoDate(value) {
+        return /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/.test(String(value || ''));
     }
 
-    function createNewsItem(item) {
-        var date = item.date ? escapeHtml(item.date) : '';
-        var contentHtml = item.content_html || escapeHtml(item.content || '');
+    // "2024-07-15" -> "Jul 15, 2024", "2024-07" -> "Jul 2024"; free text is kept
+    function formatDate(value) {
+        if (!isIsoDate(value)) {
+            return String(value || '');
+        }
+        var parts = value.split('-');
+        if (parts.length === 1) {
+            return parts[0];
+        }
+        var month = MONTHS[Number(parts[1]) - 1];
+        return parts.length === 3 ? month + ' ' + Number(parts[2]) + ', ' + parts[0] : month + ' ' + parts[0];
+    }
+
+    // Local date as YYYY-MM-DD, which decides the items that have expired (here and in scripts/prerender.js)
+    function getToday() {
+        var now = new Date();
+        var pad = function (number) { return String(number).padStart(2, '0'); };
+        return now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate());
+    }
+
+    // An item stays up through its expiry day (or month, or year)
+    function isExpired(item, today) {
+        var expires = item.expires || item.until;
+        if (!isIsoDate(expires)) {
+            return false;
+        }
+        return (today || getToday()).slice(0, expires.length) > expires;
+    }
+
+    // Items to show: pinned first, expired ones left out
+    function getVisibleNews(data, today) {
+        var newsItems = Array.isArray(data.news) ? data.news : [];
+        var current = newsItems.filter(function (item) { return !isExpired(item, today); });
+        var pinnedNews = current.filter(function (item) { return item.pin; });
+        var regularNews = current.filter(function (item) { return !item.pin; });
+        return pinnedNews.concat(regularNews);
+    }
+
+    function createNewsItem(item, index) {
+        // content_html is written by the site maintainers and trusted as markup
+        var content = item.content_html ? HtmlTemplate.raw(item.content_html) : item.content || '';
         var pinClass = item.pin ? ' news-item-pinned' : '';
+        var category = CATEGORIES[item.category];
+        var categoryClass = category ? ' news-item-' + item.category : '';
+        // Items after the first page wait for "Show more"
+        var hidden = index >= PAGE_SIZE ? HtmlTemplate.raw(' hidden') : '';
+
+        var date = isIsoDate(item.date)
+            ? html`<time datetime="${item.date}">${formatDate(item.date)}</time>`
+            : item.date || '';
+        var badge = category
+            ? html`<span class="news-category"><i class="${category.icon}" aria-hidden="true"></i> ${category.label}</span> `
+            : '';
+        var papers = Array.isArray(item.papers) ? item.papers : [];
+        var paperLinks = papers.map(function (citeKey, paperIndex) {
+            var label = papers.length > 1 ? 'Paper ' + (paperIndex + 1) : 'Paper';
+            return html` <a class="news-paper-link" href="papers/${encodeURIComponent(citeKey)}.html"><i class="fas fa-file-alt" aria-hidden="true"></i> ${label}</a>`;
+        });
+
+        return html`<div class="news-item${pinClass}${categoryClass}"${hidden}><span class="date">${date}</span><span class="content">${badge}${content}${paperLinks}</span></div>`;
+    }
+
+    // Markup of the whole news list, with a "Show more" button after the first page
+    function renderNews(data, today) {
+        var visibleNews = getVisibleNews(data, today);
+
+        if (visibleNews.length === 0) {
+            return html`<div class="news-item"><span class="date">-</span><span class="content">No news available.</span></div>`;
+        }
+        var more = visibleNews.length > PAGE_SIZE
+            ? html`\n<button type="button" class="news-more" data-news-more>Show more (${visibleNews.length - PAGE_SIZE})</button>`
+            : '';
+        return html`${HtmlTemplate.join(visibleNews.map(createNewsItem), '\n')}${more}`;
+    }
+
+    // Reveal the next page of news items
+    function showMore(button) {
+        var hiddenItems = button.parentElement.querySelectorAll('.news-item[hidden]');
+        Array.prototype.slice.call(hiddenItems, 0, PAGE_SIZE).forEach(function (item) {
+            item.removeAttribute('hidden');
+        });
+        var remaining = hiddenItems.length - PAGE_SIZE;
+        if (remaining > 0) {
+            button.textContent = 'Show more (' + remaining + ')';
+        } else {
+            button.remove();
+        }
+    }
 
-        return '' +
-            '<div class="news-item' + pinClass + '">' +
-            '<span class="date">' + date + '</span>' +
-            '<span class="content">' + contentHtml + '</span>' +
-            '</div>';
+    // Schema.org data of the shown news items (see StructuredData)
+    function injectStructuredData(items) {
+        StructuredData.load().then(function (site) {
+            StructuredData.inject('ld-news', StructuredData.graph(items.map(function (item) {
+                return StructuredData.newsItem(item, site);
+            })));
+        }).catch(function (error) {
+            console.error('Failed to add news structured data:', error);
+        });
     }
 
     async function loadNews() {
@@ -27,43 +133,59 @@
             return;
         }
 
+        var isPrerendered = newsScroll.hasAttribute('data-prerendered');
         newsScroll.setAttribute('aria-busy', 'true');
-
-        try {
-            var response = await fetch('data/news.json');
-            if (!response.ok) {
-                throw new Error('HTTP error: ' + response.status);
+        // Delegated, so it also works for the prerendered button
+        newsScroll.addEventListener('click', function (event) {
+            var button = event.target.closest('[data-news-more]');
+            if (button) {
+                showMore(button);
             }
+        });
 
-            var data = await response.json();
-            var newsItems = Array.isArray(data.news) ? data.news : [];
-            var pinnedNews = newsItems.filter(function (item) { return item.pin; });
-            var regularNews = newsItems.filter(function (item) { return !item.pin; });
-            var orderedNews = pinnedNews.concat(regularNews);
-
-            if (orderedNews.length === 0) {
+        try {
+            var data = await DataLoader.json('data/news.json');
+            var today = getToday();
+            HtmlTemplate.hydrate(newsScroll, renderNews(data, today));
+            newsScroll.setAttribute('aria-busy', 'false');
+            injectStructuredData(getVisibleNews(data, today));
+        } catch (error) {
+            console.error('Failed to load news:', error);
+            // Prerendered news is still valid, only replace the loading placeholder
+            if (!isPrerendered) {
                 newsScroll.innerHTML = '' +
                     '<div class="news-item">' +
-                    '<span class="date">-</span>' +
-                    '<span class="content">No news available.</span>' +
+                    '<span class="date">!</span>' +
+                    '<span class="content">Failed to load news data.</span>' +
                     '</div>';
-                newsScroll.setAttribute('aria-busy', 'false');
-                return;
             }
-
-            newsScroll.innerHTML = orderedNews.map(createNewsItem).join('');
-            newsScroll.setAttribute('aria-busy', 'false');
-        } catch (error) {
-            console.error('Failed to load news:', error);
-            newsScroll.innerHTML = '' +
-                '<div class="news-item">' +
-                '<span class="date">!</span>' +
-                '<span class="content">Failed to load news data.</span>' +
-                '</div>';
             newsScroll.setAttribute('aria-busy', 'false');
         }
     }
 
+    var NewsFeed = {
+        CATEGORIES: CATEGORIES,
+        isIsoDate: isIsoDate,
+        formatDate: formatDate,
+        isExpired: isExpired,
+        getToday: getToday,
+        getVisibleNews: getVisibleNews,
+        createNewsItem: createNewsItem,
+        renderNews: renderNews
+    };
+
+    // Export renderers (browser global, or CommonJS for scripts/prerender.js)
+    if (typeof window !== 'undefined') {
+        window.NewsFeed = NewsFeed;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NewsFeed;
+    }
+
+    if (typeof document === 'undefined') {
+        return;
+    }
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', loadNews);
     } else {
@@ -46,11 +46,7 @@ class ProjectsManager {
 
     async loadProjects() {
         try {
-            const response = await fetch('data/projects.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const data = await DataLoader.json('data/projects.json');
             this.projects = data.projects || [];
             
             // 自动从项目的tags字段提取所有唯一标签
@@ -230,24 +226,25 @@ class ProjectsManager {
             return;
         }
 
-        container.innerHTML = projectsToRender.map(project => this.createProjectCard(project)).join('');
+        HtmlTemplate.render(container, projectsToRender.map(project => this.createProjectCard(project)));
     }
 
     createProjectCard(project) {
+        const { html } = HtmlTemplate;
         let githubStarsDisplay = '';
         
         if (project.github_repo) {
             if (project.github_stars !== undefined) {
                 // Stars have been loaded
                 if (project.github_stars > 0) {
-                    githubStarsDisplay = `<div class="project-stars">
+                    githubStarsDisplay = html`<div class="project-stars">
                         <i class="fab fa-github"></i>
                         <span>${this.formatNumber(project.github_stars)}</span>
                     </div>`;
                 }
             } else {
                 // Stars are still loading
-                githubStarsDisplay = `<div class="project-stars loading">
+                githubStarsDisplay = html`<div class="project-stars loading">
                     <i class="fab fa-github"></i>
                     <span>...</span>
                 </div>`;
@@ -255,16 +252,16 @@ class ProjectsManager {
         }
 
         const featuredBadge = project.featured ? 
-            '<div class="featured-badge"><i class="fas fa-star"></i> Featured</div>' : '';
+            html`<div class="featured-badge"><i class="fas fa-star"></i> Featured</div>` : '';
 
         const venueYear = project.venue && project.year ? 
-            `<span class="project-venue">${project.venue} ${project.year}</span>` : '';
+            html`<span class="project-venue">${project.venue} ${project.year}</span>` : '';
 
-        const tagsHtml = project.tags.map(tag => 
-            `<span class="project-tag" data-tag="${tag}">${tag}</span>`
-        ).join('');
+        const tags = project.tags.map(tag => 
+            html`<span class="project-tag" data-tag="${tag}">${tag}</span>`
+        );
 
-        const linksHtml = Object.entries(project.links).map(([type, url]) => {
+        const links = Object.entries(project.links).map(([type, url]) => {
             const iconMap = {
                 paper: 'fas fa-file-alt',
                 github: 'fab fa-github',
@@ -272,20 +269,20 @@ class ProjectsManager {
                 project: 'fas fa-external-link-alt'
             };
             const icon = iconMap[type] || 'fas fa-link';
-            return `<a href="${url}" target="_blank" class="project-link" title="${type}">
+            return html`<a href="${url}" target="_blank" class="project-link" title="${type}">
                         <i class="${icon}"></i>
                         <span>${type.charAt(0).toUpperCase() + type.slice(1)}</span>
                     </a>`;
-        }).join('');
+        });
 
-        return `
+        return html`
             <div class="project-card" data-tags="${project.tags.join(',')}" data-featured="${project.featured}">
                 ${featuredBadge}
                 <div class="project-image">
                     <img src="${project.image}" alt="${project.title}" loading="lazy">
                     <div class="project-overlay">
                         <div class="project-links">
-                            ${linksHtml}
+                            ${links}
                         </div>
                     </div>
                 </div>
@@ -299,7 +296,7 @@ class ProjectsManager {
                     </div>
                     <p class="project-description">${project.description}</p>
                     <div class="project-tags">
-                        ${tagsHtml}
+                        ${tags}
                     </div>
                 </div>
             </div>
@@ -313,7 +310,7 @@ class ProjectsManager {
         document.querySelectorAll('.filter-tag').forEach(btn => {
             btn.classList.remove('active');
         });
-        document.querySelector(`[data-tag="${tag}"]`).classList.add('active');
+        document.querySelector(`[data-tag="${CSS.escape(tag)}"]`).classList.add('active');
 
         // Filter and render projects
         let filteredProjects;
@@ -394,12 +391,12 @@ class ProjectsManager {
     showError(message) {
         const container = document.getElementById('projectsContainer');
         if (container) {
-            container.innerHTML = `
+            HtmlTemplate.render(container, HtmlTemplate.html`
                 <div class="error-message state-message is-error">
                     <i class="fas fa-exclamation-triangle"></i>
                     <p>${message}</p>
                 </div>
-            `;
+            `);
         }
     }
 }
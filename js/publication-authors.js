@@ -0,0 +1,258 @@
+/**
+ * Publication Authors
+ * Collaborator records built from parsed BibtexParser entries and coauthor.json,
+ * rendered as per-author profiles and a ranked collaborators index
+ */
+class PublicationAuthors {
+  /**
+   * @param {Object} options Options
+   * @param {Object} options.publicationConfig Contents of publication-config.json
+   * @param {Object} options.coauthorsData Contents of coauthor.json
+   */
+  constructor(options = {}) {
+    this.publicationConfig = options.publicationConfig || {};
+    this.coauthorsData = options.coauthorsData || { coauthors: {} };
+    this.authors = new Map();
+  }
+
+  /**
+   * On-site profile URL of an author
+   * @param {string} name Author name
+   * @returns {string} URL
+   */
+  static getProfileUrl(name) {
+    return `publications.html?author=${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * Year span text, e.g. "2018–2024" or "2023"
+   * @param {Object} record Author record
+   * @returns {string} Year span
+   */
+  static getYearSpan(record) {
+    if (!record.firstYear) return '';
+    return record.firstYear === record.lastYear ? String(record.firstYear) : `${record.firstYear}–${record.lastYear}`;
+  }
+
+  /**
+   * Build one record per collaborator (every author except the highlighted one)
+   * @param {Array} entries Parsed entries
+   */
+  build(entries) {
+    const info = new Map();
+    Object.entries(this.coauthorsData?.coauthors || {}).forEach(([name, data]) => {
+      info.set(BibtexParser.nameKey(name), { ...data, name: data.name || name });
+    });
+    const highlightKey = BibtexParser.nameKey(this.publicationConfig?.display?.highlight_author || 'Chaofeng Chen');
+
+    this.authors = new Map();
+    entries.forEach(entry => {
+      const pubConfig = this.publicationConfig?.publications?.[entry.citeKey] || {};
+      const venue = VenueRegistry.getAbbr(entry, pubConfig);
+      const year = parseInt(entry.year, 10);
+
+      (entry.authors || []).forEach(name => {
+        const key = BibtexParser.nameKey(name);
+        if (name.others || key === highlightKey) return;
+
+        if (!this.authors.has(key)) {
+          const coauthorInfo = info.get(key) || {};
+          this.authors.set(key, {
+            key,
+            name: coauthorInfo.name || BibtexParser.formatName(name),
+            affiliation: coauthorInfo.affiliation && coauthorInfo.affiliation !== 'Unknown' ? coauthorInfo.affiliation : '',
+            website: coauthorInfo.website || '',
+            entries: [],
+            venues: new Map(),
+            firstYear: null,
+            lastYear: null
+          });
+        }
+
+        const record = this.authors.get(key);
+        if (record.entries.includes(entry)) return;
+        record.entries.push(entry);
+        record.venues.set(venue, (record.venues.get(venue) || 0) + 1);
+        if (year) {
+          record.firstYear = record.firstYear ? Math.min(record.firstYear, year) : year;
+          record.lastYear = record.lastYear ? Math.max(record.lastYear, year) : year;
+        }
+      });
+    });
+  }
+
+  /**
+   * Look up a collaborator by any spelling of their name
+   * @param {string} name Author name ("Haoning Wu" or "Wu, Haoning")
+   * @returns {Object|undefined} Author record
+   */
+  get(name) {
+    return this.authors.get(BibtexParser.nameKey(name));
+  }
+
+  /**
+   * Whether an entry lists the given collaborator
+   * @param {Object} entry Parsed entry
+   * @param {string} key Name key from BibtexParser.nameKey
+   * @returns {boolean} Whether the author is on the entry
+   */
+  static hasAuthor(entry, key) {
+    return (entry.authors || []).some(name => BibtexParser.nameKey(name) === key);
+  }
+
+  /**
+   * Collaborators ranked by number of joint papers, then most recent collaboration
+   * @returns {Array} Author records
+   */
+  ranked() {
+    return [...this.authors.values()].sort((a, b) =>
+      b.entries.length - a.entries.length ||
+      (b.lastYear || 0) - (a.lastYear || 0) ||
+      a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create an on-site link to an author profile
+   * @param {string} name Author name
+   * @returns {HTMLAnchorElement} Link
+   */
+  static createProfileLink(name) {
+    const link = document.createElement('a');
+    link.href = PublicationAuthors.getProfileUrl(name);
+    link.setAttribute('data-nav', '');
+    link.textContent = name;
+    return link;
+  }
+
+  /**
+   * Render the profile header of a collaborator
+   * @param {string} name Requested author name
+   * @returns {HTMLElement} Profile element
+   */
+  renderProfile(name) {
+    const record = this.get(name);
+    const profile = document.createElement('section');
+    profile.className = 'author-profile';
+
+    const title = document.createElement('h2');
+    title.className = 'author-profile-name';
+    title.textContent = record ? record.name : name;
+    profile.appendChild(title);
+
+    if (!record) {
+      const empty = document.createElement('p');
+      empty.className = 'author-profile-meta';
+      empty.textContent = 'No joint publications found for this author.';
+      profile.appendChild(empty);
+    } else {
+      const meta = document.createElement('p');
+      meta.className = 'author-profile-meta';
+      const count = record.entries.length;
+      meta.textContent = [
+        record.affiliation,
+        `${count} joint ${count === 1 ? 'paper' : 'papers'}`,
+        PublicationAuthors.getYearSpan(record)
+      ].filter(Boolean).join(' · ');
+      profile.appendChild(meta);
+
+      if (record.website) {
+        const website = document.createElement('a');
+        website.className = 'author-profile-website';
+        website.href = record.website;
+        website.target = '_blank';
+        website.rel = 'noopener';
+        website.innerHTML = '<i class="fas fa-external-link-alt" aria-hidden="true"></i> ';
+        website.appendChild(document.createTextNode('Website'));
+        profile.appendChild(website);
+      }
+
+      const venues = document.createElement('ul');
+      venues.className = 'author-profile-venues';
+      venues.setAttribute('aria-label', 'Joint venues');
+      [...record.venues.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .forEach(([venue, venueCount]) => {
+          const item = document.createElement('li');
+          item.textContent = venueCount > 1 ? `${venue} ×${venueCount}` : venue;
+          venues.appendChild(item);
+        });
+      profile.appendChild(venues);
+    }
+
+    const nav = document.createElement('p');
+    nav.className = 'author-profile-nav';
+    const allLink = document.createElement('a');
+    allLink.href = 'publications.html';
+    allLink.setAttribute('data-nav', '');
+    allLink.textContent = '← All publications';
+    const indexLink = document.createElement('a');
+    indexLink.href = 'publications.html?view=collaborators';
+    indexLink.setAttribute('data-nav', '');
+    indexLink.textContent = 'All collaborators';
+    nav.append(allLink, document.createTextNode(' · '), indexLink);
+    profile.appendChild(nav);
+
+    return profile;
+  }
+
+  /**
+   * Render the ranked collaborators index
+   * @returns {HTMLElement} Index element
+   */
+  renderIndex() {
+    const section = document.createElement('section');
+    section.className = 'collaborators-index';
+
+    const title = document.createElement('h2');
+    title.className = 'author-profile-name';
+    title.textContent = 'Collaborators';
+    section.appendChild(title);
+
+    const back = document.createElement('p');
+    back.className = 'author-profile-nav';
+    const allLink = document.createElement('a');
+    allLink.href = 'publications.html';
+    allLink.setAttribute('data-nav', '');
+    allLink.textContent = '← All publications';
+    back.appendChild(allLink);
+    section.appendChild(back);
+
+    const table = document.createElement('table');
+    table.className = 'collaborators-table';
+    table.innerHTML = '<thead><tr><th scope="col">#</th><th scope="col">Name</th><th scope="col">Papers</th><th scope="col">Years</th><th scope="col">Affiliation</th></tr></thead>';
+
+    const body = document.createElement('tbody');
+    this.ranked().forEach((record, index) => {
+      const row = document.createElement('tr');
+      const cells = [
+        String(index + 1),
+        PublicationAuthors.createProfileLink(record.name),
+        String(record.entries.length),
+        PublicationAuthors.getYearSpan(record),
+        record.affiliation
+      ];
+      cells.forEach(content => {
+        const cell = document.createElement('td');
+        if (typeof content === 'string') {
+          cell.textContent = content;
+        } else {
+          cell.appendChild(content);
+        }
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    section.appendChild(table);
+
+    return section;
+  }
+}
+
+// Export authors (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationAuthors = PublicationAuthors;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationAuthors;
+}
@@ -0,0 +1,413 @@
+/**
+ * Publication Facets
+ * Combinable filters (year range, venue, coauthor, topic, artifacts) over
+ * parsed BibtexParser entries, with live counts per facet value
+ */
+class PublicationFacets {
+  /**
+   * @param {HTMLElement} container Element the facet controls are rendered into
+   * @param {Object} options Options
+   * @param {Object} options.publicationConfig Contents of publication-config.json
+   * @param {Function} options.onChange Called after any facet changes
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.publicationConfig = options.publicationConfig || {};
+    this.onChange = options.onChange || (() => {});
+    this.descriptions = new Map();
+    this.allEntries = [];
+    this.state = PublicationFacets.emptyState();
+  }
+
+  /**
+   * Facet state with nothing selected
+   * @returns {Object} Empty state
+   */
+  static emptyState() {
+    return {
+      yearFrom: '',
+      yearTo: '',
+      venues: new Set(),
+      topics: new Set(),
+      coauthor: '',
+      code: false,
+      project: false,
+      selected: false
+    };
+  }
+
+  /**
+   * Artifact flags shown as checkboxes
+   */
+  static get ARTIFACTS() {
+    return [
+      { key: 'code', label: 'Has code' },
+      { key: 'project', label: 'Has project page' },
+      { key: 'selected', label: 'Selected only' }
+    ];
+  }
+
+  /**
+   * Replace the entries and config used to compute facet values
+   * @param {Array} entries All parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   */
+  setEntries(entries, publicationConfig = this.publicationConfig) {
+    this.allEntries = entries;
+    this.publicationConfig = publicationConfig;
+    this.descriptions = new Map();
+  }
+
+  /**
+   * Facet values of an entry (cached)
+   * @param {Object} entry Parsed entry
+   * @returns {Object} Facet values
+   */
+  describe(entry) {
+    if (this.descriptions.has(entry.citeKey)) {
+      return this.descriptions.get(entry.citeKey);
+    }
+
+    const pubConfig = this.publicationConfig?.publications?.[entry.citeKey] || {};
+    const highlightKey = BibtexParser.nameKey(this.publicationConfig?.display?.highlight_author || 'Chaofeng Chen');
+    const description = {
+      year: entry.year || '',
+      venue: VenueRegistry.getAbbr(entry, pubConfig),
+      topics: Array.isArray(pubConfig.topics) ? pubConfig.topics : [],
+      coauthors: (entry.authors || [])
+        .filter(name => !name.others && BibtexParser.nameKey(name) !== highlightKey)
+        .map(name => BibtexParser.formatName(name)),
+      code: Boolean(pubConfig.github || entry.github || pubConfig.code || entry.code),
+      project: Boolean(pubConfig.project),
+      selected: pubConfig.select === true
+    };
+
+    this.descriptions.set(entry.citeKey, description);
+    return description;
+  }
+
+  /**
+   * Whether an entry passes all active facets, optionally ignoring one
+   * @param {Object} entry Parsed entry
+   * @param {string} except Facet name to ignore (used for counts)
+   * @returns {boolean} Whether the entry matches
+   */
+  matches(entry, except = null) {
+    const state = this.state;
+    const description = this.describe(entry);
+    const year = parseInt(description.year, 10);
+
+    if (except !== 'year') {
+      if (state.yearFrom && !(year >= parseInt(state.yearFrom, 10))) return false;
+      if (state.yearTo && !(year <= parseInt(state.yearTo, 10))) return false;
+    }
+    if (except !== 'venues' && state.venues.size > 0 && !state.venues.has(description.venue)) return false;
+    if (except !== 'topics' && state.topics.size > 0 && !description.topics.some(topic => state.topics.has(topic))) return false;
+    if (except !== 'coauthor' && state.coauthor && !description.coauthors.includes(state.coauthor)) return false;
+
+    return PublicationFacets.ARTIFACTS.every(({ key }) => except === key || !state[key] || description[key]);
+  }
+
+  /**
+   * Filter entries by all active facets
+   * @param {Array} entries Entries
+   * @returns {Array} Matching entries
+   */
+  apply(entries) {
+    return entries.filter(entry => this.matches(entry));
+  }
+
+  /**
+   * Count facet values over the entries that match every other facet
+   * @param {Array} entries Entries (already filtered by type/search)
+   * @param {string} facet Facet name
+   * @param {boolean} applyFacets Whether to leave out entries the other facets exclude
+   * @returns {Map<string, number>} Value -> count
+   */
+  count(entries, facet, applyFacets = true) {
+    const counts = new Map();
+    const valueKey = { year: 'year', venues: 'venue', topics: 'topics', coauthor: 'coauthors' }[facet] || facet;
+
+    entries.forEach(entry => {
+      if (applyFacets && !this.matches(entry, facet)) return;
+      const value = this.describe(entry)[valueKey];
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach(item => {
+        if (item === false || item === '') return;
+        const key = item === true ? 'true' : item;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Whether any facet is active
+   * @returns {boolean} Active state
+   */
+  isActive() {
+    const state = this.state;
+    return Boolean(state.yearFrom || state.yearTo || state.venues.size || state.topics.size || state.coauthor ||
+      PublicationFacets.ARTIFACTS.some(({ key }) => state[key]));
+  }
+
+  /**
+   * Clear all facets
+   */
+  reset() {
+    this.state = PublicationFacets.emptyState();
+    this.onChange();
+  }
+
+  /**
+   * Write active facets to URL search params
+   * @param {URLSearchParams} params Params to write into
+   */
+  writeParams(params) {
+    const state = this.state;
+    if (state.yearFrom) params.set('from', state.yearFrom);
+    if (state.yearTo) params.set('to', state.yearTo);
+    state.venues.forEach(venue => params.append('venue', venue));
+    state.topics.forEach(topic => params.append('topic', topic));
+    if (state.coauthor) params.set('coauthor', state.coauthor);
+    PublicationFacets.ARTIFACTS.forEach(({ key }) => {
+      if (state[key]) params.set(key, '1');
+    });
+  }
+
+  /**
+   * Restore facets from URL search params (does not trigger onChange)
+   * @param {URLSearchParams} params Params to read from
+   */
+  readParams(params) {
+    const state = PublicationFacets.emptyState();
+    state.yearFrom = params.get('from') || '';
+    state.yearTo = params.get('to') || '';
+    params.getAll('venue').forEach(venue => state.venues.add(venue));
+    params.getAll('topic').forEach(topic => state.topics.add(topic));
+    state.coauthor = params.get('coauthor') || '';
+    PublicationFacets.ARTIFACTS.forEach(({ key }) => {
+      state[key] = params.get(key) === '1';
+    });
+    this.state = state;
+  }
+
+  /**
+   * Render facet controls with counts
+   * @param {Array} entries Entries the counts are based on (filtered by type/search)
+   */
+  render(entries) {
+    if (!this.container) return;
+
+    const focused = document.activeElement && this.container.contains(document.activeElement)
+      ? document.activeElement.getAttribute('data-control')
+      : null;
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.renderYearFacet(entries));
+    this.container.appendChild(this.renderListFacet(entries, 'venues', 'Venue'));
+    if (this.allEntries.some(entry => this.describe(entry).topics.length > 0)) {
+      this.container.appendChild(this.renderListFacet(entries, 'topics', 'Topic'));
+    }
+    this.container.appendChild(this.renderCoauthorFacet(entries));
+    this.container.appendChild(this.renderArtifactFacet(entries));
+
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'facet-reset';
+    resetButton.textContent = 'Reset filters';
+    resetButton.disabled = !this.isActive();
+    resetButton.setAttribute('data-control', 'reset');
+    resetButton.addEventListener('click', () => this.reset());
+    this.container.appendChild(resetButton);
+
+    if (focused) {
+      const target = this.container.querySelector(`[data-control="${CSS.escape(focused)}"]`);
+      if (target) target.focus();
+    }
+  }
+
+  /**
+   * Create a facet group wrapper
+   * @param {string} title Group title
+   * @param {string} modifier Class modifier
+   * @returns {HTMLElement} Group element
+   */
+  createGroup(title, modifier) {
+    const group = document.createElement('fieldset');
+    group.className = `facet-group facet-group--${modifier}`;
+    const legend = document.createElement('legend');
+    legend.className = 'facet-title';
+    legend.textContent = title;
+    group.appendChild(legend);
+    return group;
+  }
+
+  /**
+   * Year range selects
+   * @param {Array} entries Entries for counts
+   * @returns {HTMLElement} Group element
+   */
+  renderYearFacet(entries) {
+    const group = this.createGroup('Year', 'year');
+    const counts = this.count(entries, 'year');
+    const years = [...new Set(this.allEntries.map(entry => this.describe(entry).year).filter(Boolean))]
+      .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+
+    [['yearFrom', 'From'], ['yearTo', 'To']].forEach(([key, label]) => {
+      const select = document.createElement('select');
+      select.className = 'facet-select';
+      select.setAttribute('aria-label', `Year ${label.toLowerCase()}`);
+      select.setAttribute('data-control', key);
+
+      const anyOption = document.createElement('option');
+      anyOption.value = '';
+      anyOption.textContent = label;
+      select.appendChild(anyOption);
+
+      years.forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = `${year} (${counts.get(year) || 0})`;
+        option.selected = this.state[key] === year;
+        select.appendChild(option);
+      });
+
+      select.addEventListener('change', () => {
+        this.state[key] = select.value;
+        this.onChange();
+      });
+      group.appendChild(select);
+    });
+
+    return group;
+  }
+
+  /**
+   * Checkbox list facet (venues, topics), ordered by count over all entries.
+   * Every value is listed, with a count of 0 when the other facets exclude
+   * it, so a checked value can always be unchecked.
+   * @param {Array} entries Entries for counts
+   * @param {string} facet 'venues' or 'topics'
+   * @param {string} title Group title
+   * @returns {HTMLElement} Group element
+   */
+  renderListFacet(entries, facet, title) {
+    const group = this.createGroup(title, facet);
+    const counts = this.count(entries, facet);
+    const totals = this.count(this.allEntries, facet, false);
+    const values = [...new Set([...totals.keys(), ...this.state[facet]])]
+      .sort((a, b) => ((totals.get(b) || 0) - (totals.get(a) || 0)) || a.localeCompare(b));
+
+    values.forEach(value => {
+      const count = counts.get(value) || 0;
+      const checked = this.state[facet].has(value);
+      group.appendChild(this.createCheckbox(`${facet}:${value}`, value, count, checked, isChecked => {
+        if (isChecked) this.state[facet].add(value);
+        else this.state[facet].delete(value);
+        this.onChange();
+      }));
+    });
+
+    return group;
+  }
+
+  /**
+   * Coauthor select, ordered by number of joint papers
+   * @param {Array} entries Entries for counts
+   * @returns {HTMLElement} Group element
+   */
+  renderCoauthorFacet(entries) {
+    const group = this.createGroup('Coauthor', 'coauthor');
+    const counts = this.count(entries, 'coauthor');
+    const totals = this.count(this.allEntries, 'coauthor', false);
+    const names = [...new Set([...totals.keys(), ...(this.state.coauthor ? [this.state.coauthor] : [])])]
+      .sort((a, b) => ((totals.get(b) || 0) - (totals.get(a) || 0)) || a.localeCompare(b));
+
+    const select = document.createElement('select');
+    select.className = 'facet-select';
+    select.setAttribute('aria-label', 'Coauthor');
+    select.setAttribute('data-control', 'coauthor');
+
+    const anyOption = document.createElement('option');
+    anyOption.value = '';
+    anyOption.textContent = 'Any coauthor';
+    select.appendChild(anyOption);
+
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = `${name} (${counts.get(name) || 0})`;
+      option.selected = this.state.coauthor === name;
+      option.disabled = !counts.get(name) && this.state.coauthor !== name;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      this.state.coauthor = select.value;
+      this.onChange();
+    });
+    group.appendChild(select);
+    return group;
+  }
+
+  /**
+   * Artifact availability checkboxes
+   * @param {Array} entries Entries for counts
+   * @returns {HTMLElement} Group element
+   */
+  renderArtifactFacet(entries) {
+    const group = this.createGroup('Availability', 'artifacts');
+
+    PublicationFacets.ARTIFACTS.forEach(({ key, label }) => {
+      const count = this.count(entries, key).get('true') || 0;
+      group.appendChild(this.createCheckbox(key, label, count, this.state[key], isChecked => {
+        this.state[key] = isChecked;
+        this.onChange();
+      }));
+    });
+
+    return group;
+  }
+
+  /**
+   * Labelled checkbox with a count badge
+   * @param {string} control Identifier used to restore focus after re-render
+   * @param {string} label Label text
+   * @param {number} count Count shown next to the label
+   * @param {boolean} checked Checked state
+   * @param {Function} onToggle Called with the new checked state
+   * @returns {HTMLElement} Label element
+   */
+  createCheckbox(control, label, count, checked, onToggle) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'facet-option';
+    if (count === 0 && !checked) wrapper.classList.add('is-empty');
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.setAttribute('data-control', control);
+    input.addEventListener('change', () => onToggle(input.checked));
+
+    const text = document.createElement('span');
+    text.className = 'facet-label';
+    text.textContent = label;
+
+    const badge = document.createElement('span');
+    badge.className = 'facet-count';
+    badge.textContent = count;
+
+    wrapper.append(input, text, badge);
+    return wrapper;
+  }
+}
+
+// Export facets (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationFacets = PublicationFacets;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationFacets;
+}
@@ -0,0 +1,376 @@
+/**
+ * Publication Metadata
+ * Site metadata (image, pdf, github, select, ...) can live either in
+ * publication-config.json or as custom "x-" fields in publications.bib
+ * (e.g. x-image, x-accept-info, x-co-first-authors).
+ *
+ * Precedence, per field:
+ *   1. publication-config.json value
+ *   2. x- field in publications.bib
+ * A null value in publication-config.json hides the x- field of the same name.
+ */
+class PublicationMetadata {
+  /**
+   * Metadata fields and how they are encoded in a bib field
+   * boolean: "true"/"false"; names: "A and B"; list: "a, b"; number; string
+   */
+  static get FIELDS() {
+    return {
+      image: 'string',
+      select: 'boolean',
+      pdf: 'string',
+      github: 'string',
+      code: 'string',
+      project: 'string',
+      venue: 'string',
+      preprint: 'string',
+      accept_info: 'string',
+      co_first_authors: 'names',
+      corresponding_authors: 'names',
+      topics: 'list',
+      keywords: 'list',
+      citations: 'number',
+      stars: 'number',
+      tier: 'number'
+    };
+  }
+
+  /**
+   * Bib field name of a config field, e.g. accept_info -> x-accept-info
+   * @param {string} field Config field name
+   * @returns {string} Bib field name
+   */
+  static toBibName(field) {
+    return `x-${field.replace(/_/g, '-')}`;
+  }
+
+  /**
+   * Config field name of a bib field, e.g. x-accept-info -> accept_info
+   * @param {string} name Bib field name
+   * @returns {string|null} Config field name, or null for non-custom fields
+   */
+  static toConfigName(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith('x-') ? lower.slice(2).replace(/-/g, '_') : null;
+  }
+
+  /**
+   * Encode a config value as a bib field value
+   * @param {string} field Config field name
+   * @param {*} value Config value
+   * @returns {string} Bib field value
+   */
+  static encode(field, value) {
+    const type = PublicationMetadata.FIELDS[field] || 'string';
+    if (Array.isArray(value)) {
+      return value.join(type === 'names' ? ' and ' : ', ');
+    }
+    return String(value);
+  }
+
+  /**
+   * Decode a raw bib field value into a config value
+   * @param {string} field Config field name
+   * @param {string} raw Raw bib field value
+   * @returns {*} Config value
+   */
+  static decode(field, raw) {
+    const value = String(raw).trim();
+    switch (PublicationMetadata.FIELDS[field] || 'string') {
+      case 'boolean':
+        return /^(true|yes|1)$/i.test(value);
+      case 'names':
+        return BibtexParser.splitTopLevel(value, /\s+and\s+/iy).map(part => part.trim()).filter(Boolean);
+      case 'list':
+        return BibtexParser.splitTopLevel(value, /\s*,\s*/y).map(part => part.trim()).filter(Boolean);
+      case 'number': {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Whether a raw bib field value is a valid value of its type; decode()
+   * would otherwise read e.g. x-select = {maybe} as false
+   * @param {string} field Config field name
+   * @param {string} raw Raw bib field value
+   * @returns {boolean} Valid value
+   */
+  static isValid(field, raw) {
+    const value = String(raw).trim();
+    switch (PublicationMetadata.FIELDS[field] || 'string') {
+      case 'boolean':
+        return /^(true|false|yes|no|1|0)$/i.test(value);
+      case 'number':
+        return value !== '' && !Number.isNaN(Number(value));
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Metadata stored in the x- fields of an entry
+   * @param {Object} entry Parsed entry
+   * @returns {Object} Config-shaped metadata
+   */
+  static fromEntry(entry) {
+    const metadata = {};
+    Object.entries(entry.raw || {}).forEach(([name, raw]) => {
+      const field = PublicationMetadata.toConfigName(name);
+      if (field) metadata[field] = PublicationMetadata.decode(field, raw);
+    });
+    return metadata;
+  }
+
+  /**
+   * Effective config: x- fields from the bib overlaid by publication-config.json
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {Object} New config object; the input is not modified
+   */
+  static merge(entries, publicationConfig = {}) {
+    const publications = { ...(publicationConfig?.publications || {}) };
+
+    entries.forEach(entry => {
+      const fromBib = PublicationMetadata.fromEntry(entry);
+      if (Object.keys(fromBib).length === 0) return;
+
+      const merged = { ...fromBib, ...(publications[entry.citeKey] || {}) };
+      Object.keys(merged).forEach(field => {
+        if (merged[field] === null) delete merged[field];
+      });
+      publications[entry.citeKey] = merged;
+    });
+
+    return { ...publicationConfig, publications };
+  }
+
+  /**
+   * Indentation used by the fields of an entry
+   * @param {Object} entry Parsed entry
+   * @returns {string} Indent
+   */
+  static getIndent(entry) {
+    const match = (entry.source || '').match(/\n([ \t]+)\S/);
+    return match ? match[1] : '  ';
+  }
+
+  /**
+   * Whether a config value survives being written to the bib and read back
+   * unchanged (e.g. a keywords string would come back as a list)
+   * @param {string} field Config field name
+   * @param {*} value Config value
+   * @returns {boolean} True when the value can be moved to the bib
+   */
+  static isLossless(field, value) {
+    const encoded = PublicationMetadata.encode(field, value);
+    // The parser needs balanced braces and collapses whitespace
+    const depth = [...encoded].reduce((level, char) => (level < 0 ? level : level + (char === '{') - (char === '}')), 0);
+    if (depth !== 0) return false;
+    const decoded = PublicationMetadata.decode(field, encoded.replace(/\s+/g, ' ').trim());
+    return JSON.stringify(decoded) === JSON.stringify(value);
+  }
+
+  /**
+   * Range of the source to cut when removing a field: the field, its comma
+   * and, when the field has a line of its own, the whole line
+   * @param {string} source Entry source
+   * @param {Object} span Field span from the parser
+   * @returns {{start: number, end: number, text: string}} Edit
+   */
+  static getRemoval(source, span) {
+    const after = source.slice(span.end).match(/^[ \t]*,?[ \t]*(\r?\n)?/);
+    const lineStart = source.lastIndexOf('\n', span.start - 1) + 1;
+    const ownLine = after[1] && /^[ \t]*$/.test(source.slice(lineStart, span.start));
+    return { start: ownLine ? lineStart : span.start, end: span.end + after[0].length, text: '' };
+  }
+
+  /**
+   * Insertion of new fields after the last field, in the entry's own style
+   * (indent, "=" spacing and trailing comma)
+   * @param {Object} entry Parsed entry
+   * @param {Array<[string, string]>} fields Bib field names and values
+   * @returns {{start: number, end: number, text: string}} Edit
+   */
+  static getInsertion(entry, fields) {
+    const source = entry.source;
+    const indent = PublicationMetadata.getIndent(entry);
+    const last = Object.values(entry.fieldSpans || {}).sort((a, b) => b.end - a.end)[0];
+    const separator = last ? source.slice(last.nameEnd, last.valueStart) : ' = ';
+    const lines = fields.map(([name, value]) => `${indent}${name}${separator}{${value}}`);
+
+    if (!last) {
+      const keyEnd = source.indexOf(entry.citeKey) + entry.citeKey.length;
+      return { start: keyEnd, end: keyEnd, text: `${lines.map(line => `,\n${line}`).join('')}\n` };
+    }
+    // After the comma and any spaces behind it, so they stay on the field's line
+    const comma = source.slice(last.end).match(/^[ \t]*,[ \t]*/);
+    if (comma) {
+      const position = last.end + comma[0].length;
+      return { start: position, end: position, text: lines.map(line => `\n${line},`).join('') };
+    }
+    return { start: last.end, end: last.end, text: lines.map(line => `,\n${line}`).join('') };
+  }
+
+  /**
+   * Source of an entry with some fields set or removed; everything else is
+   * kept as written
+   * @param {Object} entry Parsed entry
+   * @param {Object<string, string|null>} changes Bib field name -> new value, or null to remove
+   * @returns {string} New entry source
+   */
+  static editEntry(entry, changes) {
+    const source = entry.source;
+    const spans = entry.fieldSpans || {};
+    const edits = [];
+    const added = [];
+
+    // Removed fields at the end of an entry without a trailing comma take the
+    // comma before them along, so "a={1},\n  x-b={2}" goes back to "a={1}"
+    const removed = new Set(Object.keys(changes).filter(name => changes[name] === null).map(name => name.toLowerCase()));
+    const ordered = Object.entries(spans).sort(([, a], [, b]) => a.start - b.start);
+    let kept = ordered.length;
+    while (kept > 0 && removed.has(ordered[kept - 1][0])) kept--;
+    const last = ordered[ordered.length - 1];
+    const tail = kept < ordered.length && !/^\s*,/.test(source.slice(last[1].end)) ? ordered.slice(kept) : [];
+    if (tail.length > 0) {
+      const start = kept > 0 ? ordered[kept - 1][1].end : source.indexOf(entry.citeKey) + entry.citeKey.length;
+      edits.push({ start, end: last[1].end, text: '' });
+    }
+    const inTail = new Set(tail.map(([name]) => name));
+
+    Object.entries(changes).forEach(([name, value]) => {
+      const span = spans[name.toLowerCase()];
+      if (!span) {
+        if (value !== null) added.push([name, value]);
+      } else if (value === null) {
+        if (!inTail.has(name.toLowerCase())) edits.push(PublicationMetadata.getRemoval(source, span));
+      } else {
+        edits.push({ start: span.valueStart, end: span.end, text: `{${value}}` });
+      }
+    });
+    if (added.length > 0) edits.push(PublicationMetadata.getInsertion(entry, added));
+
+    return edits
+      .sort((a, b) => b.start - a.start)
+      .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+  }
+
+  /**
+   * Apply field changes to the entries of the bib source
+   * @param {string} bibContent Original bib text
+   * @param {Array<{entry: Object, changes: Object}>} changes Changed entries, in bib order
+   * @returns {string} New bib text
+   */
+  static rewriteEntries(bibContent, changes) {
+    let output = '';
+    let cursor = 0;
+    changes.forEach(({ entry, changes: fieldChanges }) => {
+      const start = bibContent.indexOf(entry.source, cursor);
+      output += bibContent.slice(cursor, start) + PublicationMetadata.editEntry(entry, fieldChanges);
+      cursor = start + entry.source.length;
+    });
+    return output + bibContent.slice(cursor);
+  }
+
+  /**
+   * Move per-paper metadata from publication-config.json into x- bib fields.
+   * Config entries without a bib entry, and values the bib cannot hold
+   * exactly (see isLossless), stay in the config. Only the x- fields of the
+   * entries are written; the rest of the bib is left as it is.
+   * @param {string} bibContent publications.bib text
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {{bib: string, config: Object, moved: Array<string>}} New bib text, new config and migrated citeKeys
+   */
+  static moveToBib(bibContent, publicationConfig) {
+    const entries = new BibtexParser().parse(bibContent);
+    const publications = { ...(publicationConfig?.publications || {}) };
+    const changes = [];
+    const moved = [];
+
+    entries.forEach(entry => {
+      const pubConfig = publications[entry.citeKey];
+      if (!pubConfig || Object.keys(pubConfig).length === 0) return;
+
+      const fieldChanges = {};
+      const kept = {};
+      Object.entries(pubConfig).forEach(([field, value]) => {
+        const name = PublicationMetadata.toBibName(field);
+        if (value === null) {
+          fieldChanges[name] = null;
+        } else if (PublicationMetadata.isLossless(field, value)) {
+          fieldChanges[name] = PublicationMetadata.encode(field, value);
+        } else {
+          kept[field] = value;
+        }
+      });
+      if (Object.keys(fieldChanges).length === 0) return;
+
+      changes.push({ entry, changes: fieldChanges });
+      if (Object.keys(kept).length > 0) {
+        publications[entry.citeKey] = kept;
+      } else {
+        delete publications[entry.citeKey];
+      }
+      moved.push(entry.citeKey);
+    });
+
+    return {
+      bib: PublicationMetadata.rewriteEntries(bibContent, changes),
+      config: { ...publicationConfig, publications },
+      moved
+    };
+  }
+
+  /**
+   * Move x- bib fields into publication-config.json (existing config values win)
+   * @param {string} bibContent publications.bib text
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {{bib: string, config: Object, moved: Array<string>}} New bib text, new config and migrated citeKeys
+   */
+  static moveToConfig(bibContent, publicationConfig) {
+    const entries = new BibtexParser().parse(bibContent);
+    const existing = publicationConfig?.publications || {};
+    const publications = {};
+    const changes = [];
+    const moved = [];
+
+    entries.forEach(entry => {
+      const fromBib = PublicationMetadata.fromEntry(entry);
+      if (Object.keys(fromBib).length === 0) {
+        if (existing[entry.citeKey]) publications[entry.citeKey] = existing[entry.citeKey];
+        return;
+      }
+
+      publications[entry.citeKey] = { ...fromBib, ...(existing[entry.citeKey] || {}) };
+      const fieldChanges = {};
+      entry.fieldNames
+        .filter(name => PublicationMetadata.toConfigName(name))
+        .forEach(name => { fieldChanges[name] = null; });
+      changes.push({ entry, changes: fieldChanges });
+      moved.push(entry.citeKey);
+    });
+
+    // Config entries are kept in bib order, followed by any without a bib entry
+    Object.keys(existing).forEach(citeKey => {
+      if (!(citeKey in publications)) publications[citeKey] = existing[citeKey];
+    });
+
+    return {
+      bib: PublicationMetadata.rewriteEntries(bibContent, changes),
+      config: { ...publicationConfig, publications },
+      moved
+    };
+  }
+}
+
+// Export metadata helpers (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationMetadata = PublicationMetadata;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationMetadata;
+}
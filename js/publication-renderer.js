@@ -0,0 +1,284 @@
+/**
+ * Publication Renderer
+ * Markup for publication items, the index page sections and the grouped
+ * publications list. Shared by publications.js in the browser and by
+ * scripts/prerender.js, which writes the same markup into the static pages.
+ */
+class PublicationRenderer {
+  /**
+   * @param {Object} options Options
+   * @param {Object} options.publicationConfig Contents of publication-config.json (x- fields merged)
+   * @param {Object} options.coauthorsData Contents of coauthor.json
+   * @param {Set<string>} options.paperPages citeKeys with a landing page (data/paper-pages.json);
+   *   the titles of other entries, such as uploaded ones, are not linked
+   */
+  constructor({ publicationConfig = {}, coauthorsData = {}, paperPages = new Set() } = {}) {
+    this.publicationConfig = publicationConfig || {};
+    this.paperPages = paperPages;
+    this.coauthors = new Map();
+    Object.entries(coauthorsData?.coauthors || {}).forEach(([name, info]) => {
+      this.coauthors.set(BibtexParser.nameKey(name), info);
+    });
+  }
+
+  /**
+   * Empty-section messages on the index page
+   */
+  static get INDEX_SECTIONS() {
+    return {
+      preprint: { container: 'preprint-publications', empty: 'No selected preprint papers found' },
+      conference: { container: 'conference-publications', empty: 'No selected conference papers found' },
+      journal: { container: 'journal-publications', empty: 'No selected journal papers found' }
+    };
+  }
+
+  /**
+   * Selected publications for the index page, by section
+   * @param {Array} publications Parsed entries (preprints already merged, see PublicationVersions)
+   * @param {Object} publicationConfig Publication config
+   * @returns {Object} {preprint, conference, journal} entry lists
+   */
+  static getIndexSections(publications, publicationConfig = {}) {
+    const selected = publications.filter(pub => {
+      const pubConfig = publicationConfig?.publications?.[pub.citeKey] || {};
+      return pubConfig.select === true || pub.highlight === true;
+    });
+    return {
+      preprint: selected.filter(pub => PublicationVersions.isPreprint(pub)),
+      conference: selected.filter(pub => pub.type === 'inproceedings' || pub.type === 'conference'),
+      journal: selected.filter(pub => pub.type === 'article' && !PublicationVersions.isPreprint(pub))
+    };
+  }
+
+  /**
+   * Landing page of a paper, written by scripts/build-paper-pages.js
+   * @param {Object} pub Parsed entry
+   * @returns {string} Path relative to the site root
+   */
+  static getPaperUrl(pub) {
+    return `papers/${encodeURIComponent(pub.citeKey)}.html`;
+  }
+
+  /**
+   * Artifact links of a paper; missing ones are empty strings
+   * @param {Object} pub Parsed entry
+   * @param {Object} pubConfig Per-publication config
+   * @returns {{pdf: string, code: string, project: string, preprint: string, doi: string}} URLs
+   */
+  static getLinks(pub, pubConfig = {}) {
+    const pdf = pubConfig.pdf || pub.url || pub.pdf || '';
+    return {
+      pdf,
+      code: pubConfig.github || pub.github || pubConfig.code || pub.code || '',
+      project: pubConfig.project || '',
+      // Preprint of a merged paper, unless it is already the PDF link
+      preprint: pub.preprint && pub.preprint.url !== pdf ? pub.preprint.url || '' : '',
+      doi: pub.doi ? `https://doi.org/${pub.doi}` : ''
+    };
+  }
+
+  /**
+   * Coauthor record from coauthor.json
+   * @param {string} nameKey Name key (BibtexParser.nameKey)
+   * @returns {Object|undefined} Coauthor info
+   */
+  findCoauthor(nameKey) {
+    return this.coauthors.get(nameKey);
+  }
+
+  /**
+   * Author list with profile links, the highlighted author in bold and
+   * co-first (*) / corresponding (✉) marks
+   * @param {Array} authors Structured author names from BibtexParser
+   * @param {Object} pubConfig Per-publication config
+   * @returns {SafeHtml} Markup
+   */
+  formatAuthors(authors, pubConfig = {}) {
+    const { html } = HtmlTemplate;
+    const displayConfig = this.publicationConfig.display || {};
+    const { names, truncated } = BibtexParser.truncateNames(authors, {
+      maxAuthors: displayConfig.max_authors
+    });
+    const coFirstAuthors = (pubConfig.co_first_authors || []).map(BibtexParser.nameKey);
+    const correspondingAuthors = (pubConfig.corresponding_authors || []).map(BibtexParser.nameKey);
+    const highlightKey = BibtexParser.nameKey(displayConfig.highlight_author || 'Chaofeng Chen');
+
+    const formattedAuthors = names.map(name => {
+      const nameKey = BibtexParser.nameKey(name);
+      const coauthorInfo = this.findCoauthor(nameKey);
+
+      let formattedAuthor = BibtexParser.formatName(name, displayConfig.author_format || 'full');
+      if (nameKey === highlightKey) {
+        formattedAuthor = html`<strong>${formattedAuthor}</strong>`;
+      }
+      if (coFirstAuthors.includes(nameKey)) {
+        formattedAuthor = html`${formattedAuthor}<sup>*</sup>`;
+      }
+      if (correspondingAuthors.includes(nameKey)) {
+        formattedAuthor = html`${formattedAuthor}<sup>✉</sup>`;
+      }
+
+      // Collaborators link to their on-site profile (which in turn links their website)
+      if (nameKey !== highlightKey && !name.others) {
+        const profileName = coauthorInfo?.name || BibtexParser.formatName(name);
+        const affiliation = coauthorInfo?.affiliation && coauthorInfo.affiliation !== 'Unknown' ? coauthorInfo.affiliation : '';
+        const title = affiliation ? html` title="${affiliation}"` : '';
+        return html`<a href="${PublicationAuthors.getProfileUrl(profileName)}" data-nav${title}>${formattedAuthor}</a>`;
+      }
+      return formattedAuthor;
+    });
+
+    if (truncated) {
+      formattedAuthors.push('et al.');
+    }
+    return HtmlTemplate.join(formattedAuthors, ', ');
+  }
+
+  /**
+   * Venue line: "Full Name (Abbr Year)" for registered venues, the bib text
+   * with bold abbreviations otherwise, plus the acceptance info
+   * @param {Object} pub Parsed entry
+   * @param {Object} pubConfig Per-publication config
+   * @returns {SafeHtml} Markup
+   */
+  formatVenue(pub, pubConfig = {}) {
+    const { html } = HtmlTemplate;
+    // Bold abbreviations inside parentheses, e.g. (ECCV) -> (<strong>ECCV</strong>)
+    const boldAbbreviations = text => String(text || '').split(/\(([^)]+)\)/)
+      .map((part, index) => index % 2 ? html`(<strong>${part}</strong>)` : part);
+
+    const resolvedVenue = VenueRegistry.active ? VenueRegistry.active.resolve(pub, pubConfig) : null;
+    let venueCore = '';
+    let venueHasYear = false;
+    if (resolvedVenue && resolvedVenue.known) {
+      const label = html`<strong>${VenueRegistry.getLabel(resolvedVenue, pub.year)}</strong>`;
+      venueCore = resolvedVenue.name === resolvedVenue.abbr ? label : html`${resolvedVenue.name} (${label})`;
+      venueHasYear = true;
+    } else if (pubConfig.venue) {
+      venueCore = boldAbbreviations(pubConfig.venue);
+    } else if (pub.type === 'article') {
+      venueCore = boldAbbreviations(pub.journal);
+    } else if (pub.type === 'inproceedings' || pub.type === 'conference') {
+      venueCore = boldAbbreviations(pub.booktitle);
+    } else if (pub.type === 'preprint' || pub.type === 'misc' || CitationFormatter.getArxivId(pub) ||
+              (pub.keywords && pub.keywords.includes('preprint'))) {
+      venueCore = boldAbbreviations('arXiv');
+    } else {
+      venueCore = boldAbbreviations(pub.publisher);
+    }
+
+    const venueYear = venueHasYear ? '' : `, ${pub.year || ''}`;
+    const acceptInfo = pubConfig.accept_info ? html` (<span class="accept-info">${pubConfig.accept_info}</span>)` : '';
+    return html`${venueCore}${venueYear}${acceptInfo}`;
+  }
+
+  /**
+   * Markup of one publication item
+   * @param {Object} pub Parsed entry
+   * @param {Object} options Options
+   * @param {boolean} options.isIndexPage Index layout (image and icon links) instead of the list layout
+   * @param {boolean} options.anchor Give the item its citeKey as id (list layout only)
+   * @returns {SafeHtml} Markup
+   */
+  renderItem(pub, { isIndexPage = false, anchor = true } = {}) {
+    const { html } = HtmlTemplate;
+    const pubConfig = this.publicationConfig.publications?.[pub.citeKey] || {};
+    const key = pub.citeKey || pub.key || pub.id;
+
+    const classes = ['publication-item', isIndexPage ? 'publication-item--index' : 'publication-item--page'];
+    if (!isIndexPage && (pubConfig.select === true || pub.highlight === true)) {
+      classes.push('publication-highlighted');
+    }
+    // Stable anchor, e.g. publications.html#wu2023dover
+    const id = !isIndexPage && anchor && pub.citeKey ? html` id="${pub.citeKey}"` : '';
+
+    const { pdf: pdfUrl, code: codeUrl, preprint: preprintUrl, doi: doiUrl } = PublicationRenderer.getLinks(pub, pubConfig);
+    const venue = this.formatVenue(pub, pubConfig);
+
+    let venueLine;
+    let linksBlock = '';
+    if (isIndexPage) {
+      venueLine = venue;
+      const repoPath = codeUrl && codeUrl.includes('github.com')
+        ? codeUrl.replace('https://github.com/', '').replace('http://github.com/', '').split('/').slice(0, 2).join('/')
+        : '';
+      linksBlock = html`
+        <div class="year-links-container">
+          <div class="publication-links">
+            ${pdfUrl ? html`<a href="${pdfUrl}" target="_blank"><i class="fas fa-file-pdf"></i> PDF</a>` : ''}
+            ${pubConfig.project ? html`<a href="${pubConfig.project}" target="_blank"><i class="fas fa-link"></i> Project</a>` : ''}
+            ${repoPath.includes('/') ? html`<a href="${codeUrl}" target="_blank" class="github-stars"><img src="https://img.shields.io/github/stars/${repoPath}?style=social" alt="GitHub stars" style="vertical-align: middle;"></a>` : ''}
+            ${preprintUrl ? html`<a href="${preprintUrl}" target="_blank"><i class="fas fa-file-alt"></i> arXiv</a>` : ''}
+            ${doiUrl ? html`<a href="${doiUrl}" target="_blank"><i class="fas fa-external-link-alt"></i> DOI</a>` : ''}
+            <a href="#" class="cite-link" data-key="${key}"><i class="fas fa-quote-right"></i> Cite</a>
+          </div>
+        </div>`;
+    } else {
+      const inlineLinks = [];
+      if (pdfUrl) inlineLinks.push(html`<a href="${pdfUrl}" target="_blank">PDF</a>`);
+      if (codeUrl) inlineLinks.push(html`<a href="${codeUrl}" target="_blank">GitHub</a>`);
+      if (pubConfig.project) inlineLinks.push(html`<a href="${pubConfig.project}" target="_blank">Project</a>`);
+      if (preprintUrl) inlineLinks.push(html`<a href="${preprintUrl}" target="_blank">arXiv</a>`);
+      if (doiUrl) inlineLinks.push(html`<a href="${doiUrl}" target="_blank">DOI</a>`);
+      inlineLinks.push(html`<a href="#" class="cite-link" data-key="${key}">Cite</a>`);
+      venueLine = html`${venue} | ${HtmlTemplate.join(inlineLinks, ' | ')}`;
+    }
+
+    const image = isIndexPage
+      ? html`<img class="publication-image" src="${pubConfig.image || pub.image || 'assets/publication-placeholder.jpg'}" alt="${pub.title || 'Publication'}" onerror="this.onerror=null;this.src='https://via.placeholder.com/150x200/f0f0f0/808080?text=Publication'">`
+      : '';
+    const authors = pub.authors && pub.authors.length > 0
+      ? html`<div class="publication-authors">${this.formatAuthors(pub.authors, pubConfig)}</div>`
+      : '';
+
+    // Entries link to their landing page when scripts/build-paper-pages.js wrote one
+    const title = this.paperPages.has(pub.citeKey)
+      ? html`<a href="${PublicationRenderer.getPaperUrl(pub)}" class="publication-title-link">${pub.title || 'Untitled'}</a>`
+      : pub.title || 'Untitled';
+
+    return html`<div class="${classes.join(' ')}"${id} data-key="${key}">${image}<div class="publication-content"><div class="publication-title">${title}</div>${authors}<div class="publication-venue">${venueLine}</div>${linksBlock}</div></div>`;
+  }
+
+  /**
+   * Markup of one index page section
+   * @param {Array} publications Entries of the section
+   * @param {string} section "preprint", "conference" or "journal"
+   * @returns {SafeHtml} Markup
+   */
+  renderIndexSection(publications, section) {
+    const { html } = HtmlTemplate;
+    if (publications.length === 0) {
+      return html`<div class="no-publications">${PublicationRenderer.INDEX_SECTIONS[section].empty}</div>`;
+    }
+    // One item per line keeps prerendered pages readable
+    return HtmlTemplate.join(publications.map(pub => this.renderItem(pub, { isIndexPage: true })), '\n');
+  }
+
+  /**
+   * Markup of the grouped publications list
+   * @param {Array<{label: string, entries: Array}>} groups Groups from PublicationSort.group()
+   * @returns {SafeHtml} Markup
+   */
+  renderGroups(groups) {
+    const { html } = HtmlTemplate;
+    // Topic groups may repeat a paper; only its first occurrence carries the anchor
+    const anchoredKeys = new Set();
+    return HtmlTemplate.join(groups.map(group => {
+      const items = group.entries.map(pub => {
+        const anchor = !anchoredKeys.has(pub.citeKey);
+        anchoredKeys.add(pub.citeKey);
+        return this.renderItem(pub, { anchor });
+      });
+      const header = group.label ? html`<h2 class="year-header">${group.label}</h2>` : '';
+      return html`<div class="year-section">${header}<div class="year-publications">\n${HtmlTemplate.join(items, '\n')}\n</div></div>`;
+    }), '\n');
+  }
+}
+
+// Export renderer (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationRenderer = PublicationRenderer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationRenderer;
+}
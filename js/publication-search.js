@@ -0,0 +1,282 @@
+/**
+ * Publication Search
+ * Client-side inverted index over parsed BibtexParser entries with
+ * prefix and typo-tolerant matching, plus DOM highlighting of matches
+ */
+class PublicationSearch {
+  /**
+   * Field weights used for ranking
+   */
+  static get FIELD_WEIGHTS() {
+    return {
+      title: 3,
+      authors: 2,
+      keywords: 2,
+      venue: 1.5,
+      year: 1,
+      citeKey: 1
+    };
+  }
+
+  /**
+   * @param {Array} entries Parsed BibtexParser entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   */
+  constructor(entries = [], publicationConfig = {}) {
+    this.entries = [];
+    this.index = new Map();
+    this.build(entries, publicationConfig);
+  }
+
+  /**
+   * Fold text for matching: strip diacritics and lowercase
+   * @param {string} text Text
+   * @returns {string} Folded text
+   */
+  static fold(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Split text into folded search tokens; hyphenated words also
+   * produce their joined form ("Q-Align" -> "q", "align", "qalign")
+   * @param {string} text Text
+   * @returns {Array<string>} Tokens
+   */
+  static tokenize(text) {
+    const tokens = [];
+    PublicationSearch.fold(text).split(/[^\p{L}\p{N}-]+/u).forEach(word => {
+      const pieces = word.split('-').filter(Boolean);
+      tokens.push(...pieces);
+      if (pieces.length > 1) tokens.push(pieces.join(''));
+    });
+    return tokens;
+  }
+
+  /**
+   * Edit distance (optimal string alignment: insertions, deletions, substitutions
+   * and adjacent transpositions) with an early exit once the limit is exceeded
+   * @param {string} a First string
+   * @param {string} b Second string
+   * @param {number} limit Maximum distance of interest
+   * @returns {number} Distance, or limit + 1 when larger than limit
+   */
+  static editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > limit) return limit + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Number of typos tolerated for a query token
+   * @param {string} token Query token
+   * @returns {number} Allowed edit distance
+   */
+  static typoLimit(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Collect the searchable text of an entry per field
+   * @param {Object} entry Parsed entry
+   * @param {Object} pubConfig Per-publication config
+   * @returns {Object} Field name -> text
+   */
+  static getSearchFields(entry, pubConfig = {}) {
+    const configKeywords = Array.isArray(pubConfig.keywords) ? pubConfig.keywords.join(' ') : (pubConfig.keywords || '');
+    const venue = typeof VenueRegistry !== 'undefined' && VenueRegistry.active
+      ? VenueRegistry.active.resolve(entry, pubConfig)
+      : null;
+    return {
+      title: entry.title || '',
+      authors: (entry.authors || []).map(name => BibtexParser.formatName(name)).join(' '),
+      venue: [pubConfig.venue, entry.journal, entry.booktitle, entry.archiveprefix, venue?.name, venue?.abbr]
+        .filter(Boolean).join(' '),
+      year: entry.year || '',
+      citeKey: entry.citeKey || '',
+      keywords: [configKeywords, entry.keywords].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * Build the inverted index
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   */
+  build(entries, publicationConfig = {}) {
+    this.entries = entries;
+    this.index = new Map();
+    const weights = PublicationSearch.FIELD_WEIGHTS;
+
+    entries.forEach((entry, docId) => {
+      const pubConfig = publicationConfig?.publications?.[entry.citeKey] || {};
+      const fields = PublicationSearch.getSearchFields(entry, pubConfig);
+
+      Object.keys(fields).forEach(field => {
+        PublicationSearch.tokenize(fields[field]).forEach(token => {
+          if (!this.index.has(token)) this.index.set(token, new Map());
+          const postings = this.index.get(token);
+          postings.set(docId, (postings.get(docId) || 0) + weights[field]);
+        });
+      });
+    });
+  }
+
+  /**
+   * Find index tokens matching a query token (exact, prefix, infix or within the typo limit)
+   * @param {string} queryToken Folded query token
+   * @returns {Array<{token: string, factor: number}>} Matching index tokens with a score factor
+   */
+  expandToken(queryToken) {
+    const limit = PublicationSearch.typoLimit(queryToken);
+    const matches = [];
+
+    this.index.forEach((postings, token) => {
+      if (token === queryToken) {
+        matches.push({ token, factor: 1 });
+      } else if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+        matches.push({ token, factor: 0.8 });
+      } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+        matches.push({ token, factor: 0.5 });
+      } else if (limit > 0) {
+        const distance = PublicationSearch.editDistance(queryToken, token, limit);
+        if (distance <= limit) {
+          matches.push({ token, factor: 0.6 / distance });
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Search the index; every query token must match
+   * @param {string} query Free-text query
+   * @returns {Array<{entry: Object, score: number, terms: Array<string>}>} Results sorted by score
+   */
+  search(query) {
+    const queryTokens = [...new Set(PublicationSearch.tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    let scores = null;
+    const terms = new Map();
+
+    queryTokens.forEach(queryToken => {
+      const tokenScores = new Map();
+      this.expandToken(queryToken).forEach(({ token, factor }) => {
+        this.index.get(token).forEach((weight, docId) => {
+          tokenScores.set(docId, Math.max(tokenScores.get(docId) || 0, weight * factor));
+          if (!terms.has(docId)) terms.set(docId, new Set());
+          terms.get(docId).add(token);
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const merged = new Map();
+        scores.forEach((score, docId) => {
+          if (tokenScores.has(docId)) merged.set(docId, score + tokenScores.get(docId));
+        });
+        scores = merged;
+      }
+    });
+
+    return [...scores.entries()]
+      .map(([docId, score]) => ({
+        entry: this.entries[docId],
+        score,
+        terms: [...terms.get(docId)]
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Wrap occurrences of matched terms inside an element with <mark>
+   * Matching ignores case and diacritics, so "muller" highlights "Müller"
+   * @param {HTMLElement} element Root element
+   * @param {Array<string>} terms Folded index tokens to highlight
+   */
+  static highlight(element, terms) {
+    if (!element || !terms || terms.length === 0) return;
+
+    const escaped = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?:${escaped.join('|')})`, 'g');
+
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentNode.closest('mark, .citation-container')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT)
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      // Fold character by character so folded offsets map back to the original text
+      let folded = '';
+      const offsets = [];
+      Array.from(text).reduce((position, char) => {
+        const foldedChar = PublicationSearch.fold(char);
+        for (let i = 0; i < foldedChar.length; i++) offsets.push(position);
+        folded += foldedChar;
+        return position + char.length;
+      }, 0);
+      offsets.push(text.length);
+
+      const ranges = [];
+      let match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(folded)) !== null) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        ranges.push([offsets[match.index], offsets[match.index + match[0].length]]);
+      }
+      if (ranges.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      let cursor = 0;
+      ranges.forEach(([start, end]) => {
+        if (start > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        cursor = end;
+      });
+      if (cursor < text.length) fragment.appendChild(document.createTextNode(text.slice(cursor)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+}
+
+// Export search (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationSearch = PublicationSearch;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationSearch;
+}
@@ -0,0 +1,254 @@
+/**
+ * Publication Sort
+ * Sort modes and grouping for parsed BibtexParser entries
+ */
+class PublicationSort {
+  /**
+   * Available sort modes
+   */
+  static get SORT_MODES() {
+    return {
+      date: { label: 'Newest first' },
+      tier: { label: 'Venue tier' },
+      title: { label: 'Title (A–Z)' },
+      author: { label: 'First author' },
+      citations: { label: 'Most cited' },
+      stars: { label: 'GitHub stars' }
+    };
+  }
+
+  /**
+   * Available grouping modes
+   */
+  static get GROUP_MODES() {
+    return {
+      year: { label: 'By year' },
+      venue: { label: 'By venue' },
+      topic: { label: 'By topic' },
+      none: { label: 'No grouping' }
+    };
+  }
+
+  /**
+   * Grouping modes that apply to the entries: "By topic" only when a paper has topics
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {Object} GROUP_MODES without the modes that do not apply
+   */
+  static getGroupModes(entries, publicationConfig = {}) {
+    const modes = PublicationSort.GROUP_MODES;
+    const hasTopics = entries.some(entry => {
+      const topics = publicationConfig?.publications?.[entry.citeKey]?.topics;
+      return Array.isArray(topics) && topics.length > 0;
+    });
+    if (!hasTopics) delete modes.topic;
+    return modes;
+  }
+
+  /**
+   * localStorage key and lifetime of cached GitHub star counts
+   */
+  static get STARS_CACHE_KEY() {
+    return 'publication-github-stars';
+  }
+
+  static get STARS_CACHE_TTL() {
+    return 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Month number (1-12) of an entry, 0 when unknown
+   * @param {Object} entry Parsed entry
+   * @returns {number} Month
+   */
+  static getMonth(entry) {
+    const month = String(entry.month || '').trim().toLowerCase();
+    if (!month) return 0;
+    const number = parseInt(month, 10);
+    if (number >= 1 && number <= 12) return number;
+    const index = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf(month.slice(0, 3));
+    return index + 1;
+  }
+
+  /**
+   * Venue tier of an entry (1 is highest): the per-paper "tier" in the config,
+   * then display.venue_tiers in the config, then the tier in data/venues.json.
+   * Unknown venues rank just above arXiv
+   * @param {Object} entry Parsed entry
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {number} Tier
+   */
+  static getTier(entry, publicationConfig = {}) {
+    const pubConfig = publicationConfig?.publications?.[entry.citeKey] || {};
+    if (typeof pubConfig.tier === 'number') return pubConfig.tier;
+    const label = VenueRegistry.getAbbr(entry, pubConfig);
+    const configTier = publicationConfig?.display?.venue_tiers?.[label];
+    if (typeof configTier === 'number') return configTier;
+    return VenueRegistry.active?.resolve(entry, pubConfig).tier || 4;
+  }
+
+  /**
+   * GitHub "owner/repo" linked from an entry, if any
+   * @param {Object} entry Parsed entry
+   * @param {Object} pubConfig Per-publication config
+   * @returns {string|null} Repository slug
+   */
+  static getGithubRepo(entry, pubConfig = {}) {
+    const url = pubConfig.github || entry.github || pubConfig.code || entry.code || '';
+    const match = url.match(/github\.com\/([^/\s]+)\/([^/\s#?]+)/i);
+    return match ? `${match[1]}/${match[2].replace(/\.git$/, '')}` : null;
+  }
+
+  /**
+   * Load star counts for the linked GitHub repositories
+   * Counts are cached in localStorage; config "stars" values are used as a fallback
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {Promise<Map<string, number>>} Repository slug -> stars
+   */
+  static async loadGithubStars(entries, publicationConfig = {}) {
+    let cache = {};
+    try {
+      cache = JSON.parse(localStorage.getItem(PublicationSort.STARS_CACHE_KEY)) || {};
+    } catch (error) {
+      cache = {};
+    }
+
+    const now = Date.now();
+    const stars = new Map();
+    const repos = new Set();
+    entries.forEach(entry => {
+      const repo = PublicationSort.getGithubRepo(entry, publicationConfig?.publications?.[entry.citeKey]);
+      if (repo) repos.add(repo);
+    });
+
+    await Promise.all([...repos].map(async repo => {
+      const cached = cache[repo];
+      if (cached && now - cached.time < PublicationSort.STARS_CACHE_TTL) {
+        stars.set(repo, cached.stars);
+        return;
+      }
+      try {
+        const response = await fetch(`https://api.github.com/repos/${repo}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        stars.set(repo, data.stargazers_count || 0);
+        cache[repo] = { stars: data.stargazers_count || 0, time: now };
+      } catch (error) {
+        console.error(`Error loading GitHub stars for ${repo}:`, error);
+        if (cached) stars.set(repo, cached.stars);
+      }
+    }));
+
+    try {
+      localStorage.setItem(PublicationSort.STARS_CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+      // Storage may be unavailable (private mode); counts are still used for this page view
+    }
+
+    return stars;
+  }
+
+  /**
+   * Sort entries; ties fall back to newest first, then title
+   * @param {Array} entries Parsed entries
+   * @param {string} mode Sort mode
+   * @param {Object} options Options
+   * @param {Object} options.publicationConfig Contents of publication-config.json
+   * @param {Map<string, number>} options.stars Repository slug -> stars
+   * @returns {Array} New sorted array
+   */
+  static sort(entries, mode = 'date', options = {}) {
+    const publicationConfig = options.publicationConfig || {};
+    const stars = options.stars || new Map();
+    const pubConfigOf = entry => publicationConfig?.publications?.[entry.citeKey] || {};
+
+    const byDate = (a, b) => (parseInt(b.year, 10) || 0) - (parseInt(a.year, 10) || 0) ||
+      PublicationSort.getMonth(b) - PublicationSort.getMonth(a);
+    const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+    const firstAuthor = entry => {
+      const name = (entry.authors || [])[0];
+      return name ? [name.last, name.first].filter(Boolean).join(' ') : '';
+    };
+    // Citation counts come from the config ("citations") or the x-citations bib field
+    const citationsOf = entry => (typeof pubConfigOf(entry).citations === 'number' ? pubConfigOf(entry).citations : null);
+    const starsOf = entry => {
+      const pubConfig = pubConfigOf(entry);
+      const repo = PublicationSort.getGithubRepo(entry, pubConfig);
+      return (repo && stars.get(repo)) ?? pubConfig.stars ?? 0;
+    };
+
+    const comparators = {
+      date: byDate,
+      tier: (a, b) => PublicationSort.getTier(a, publicationConfig) - PublicationSort.getTier(b, publicationConfig),
+      title: byTitle,
+      author: (a, b) => firstAuthor(a).localeCompare(firstAuthor(b), undefined, { sensitivity: 'base' }),
+      // Entries without a count go last
+      citations: (a, b) => (citationsOf(a) === null) - (citationsOf(b) === null) || (citationsOf(b) || 0) - (citationsOf(a) || 0),
+      stars: (a, b) => starsOf(b) - starsOf(a)
+    };
+    const compare = comparators[mode] || byDate;
+
+    // Array.prototype.sort is stable, so .bib order breaks any remaining ties
+    return [...entries].sort((a, b) => compare(a, b) || byDate(a, b) || byTitle(a, b));
+  }
+
+  /**
+   * Group sorted entries
+   * @param {Array} entries Sorted entries
+   * @param {string} mode Grouping mode
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {Array<{label: string, entries: Array}>} Groups in display order
+   */
+  static group(entries, mode = 'year', publicationConfig = {}) {
+    if (mode === 'none') {
+      return [{ label: '', entries }];
+    }
+
+    const groups = new Map();
+    const add = (label, entry) => {
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(entry);
+    };
+
+    entries.forEach(entry => {
+      const pubConfig = publicationConfig?.publications?.[entry.citeKey] || {};
+      if (mode === 'venue') {
+        add(VenueRegistry.getAbbr(entry, pubConfig), entry);
+      } else if (mode === 'topic') {
+        const topics = Array.isArray(pubConfig.topics) && pubConfig.topics.length > 0 ? pubConfig.topics : ['Other'];
+        topics.forEach(topic => add(topic, entry));
+      } else {
+        add(entry.year || 'Unknown', entry);
+      }
+    });
+
+    const labels = [...groups.keys()];
+    if (mode === 'year') {
+      labels.sort((a, b) => {
+        if (a === 'Unknown') return 1;
+        if (b === 'Unknown') return -1;
+        return parseInt(b, 10) - parseInt(a, 10);
+      });
+    } else if (mode === 'venue') {
+      // Highest tier first, then largest group
+      const tierOf = label => PublicationSort.getTier(groups.get(label)[0], publicationConfig);
+      labels.sort((a, b) => tierOf(a) - tierOf(b) || groups.get(b).length - groups.get(a).length || a.localeCompare(b));
+    } else {
+      labels.sort((a, b) => (a === 'Other') - (b === 'Other') || groups.get(b).length - groups.get(a).length || a.localeCompare(b));
+    }
+
+    return labels.map(label => ({ label, entries: groups.get(label) }));
+  }
+}
+
+// Export sort (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationSort = PublicationSort;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationSort;
+}
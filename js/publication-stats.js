@@ -0,0 +1,377 @@
+/**
+ * Publication Stats
+ * Counts per year, type and venue, authorship share and oral/highlight
+ * recognition over parsed BibtexParser entries, rendered as inline SVG charts
+ */
+class PublicationStats {
+  /**
+   * Publication types shown in the charts, in stacking order
+   */
+  static get TYPES() {
+    return [
+      { key: 'journal', label: 'Journal' },
+      { key: 'conference', label: 'Conference' },
+      { key: 'preprint', label: 'Preprint' },
+      { key: 'other', label: 'Other' }
+    ];
+  }
+
+  /**
+   * Number of venues shown in the venue chart
+   */
+  static get MAX_VENUES() {
+    return 12;
+  }
+
+  /**
+   * Page category of an entry (journal, conference, preprint or other)
+   * @param {Object} entry Parsed entry
+   * @returns {string} Type key
+   */
+  static getType(entry) {
+    const groups = BibtexParser.TYPE_GROUPS;
+    return Object.keys(groups).find(key => groups[key].includes(entry.type)) || 'other';
+  }
+
+  /**
+   * Recognition level from accept_info, e.g. "Oral, 3.97%" -> "Oral"
+   * @param {string} acceptInfo accept_info value from the config
+   * @returns {string} Recognition level, or '' if none
+   */
+  static getRecognition(acceptInfo) {
+    const level = String(acceptInfo || '').split(',')[0].trim();
+    return /^(oral|spotlight|highlight|best paper.*|award.*)$/i.test(level) ? level : '';
+  }
+
+  /**
+   * Compute statistics
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json
+   * @returns {Object} Statistics
+   */
+  static compute(entries, publicationConfig = {}) {
+    const highlightKey = BibtexParser.nameKey(publicationConfig?.display?.highlight_author || 'Chaofeng Chen');
+    const stats = {
+      total: entries.length,
+      years: new Map(),
+      types: new Map(PublicationStats.TYPES.map(({ key }) => [key, 0])),
+      venues: new Map(),
+      ranks: new Map(),
+      authorship: { first: 0, coFirst: 0, corresponding: 0, firstOrCorresponding: 0 },
+      recognition: []
+    };
+
+    entries.forEach(entry => {
+      const pubConfig = publicationConfig?.publications?.[entry.citeKey] || {};
+      const type = PublicationStats.getType(entry);
+      const year = entry.year || 'Unknown';
+
+      if (!stats.years.has(year)) {
+        stats.years.set(year, new Map(PublicationStats.TYPES.map(({ key }) => [key, 0])));
+      }
+      stats.years.get(year).set(type, stats.years.get(year).get(type) + 1);
+      stats.types.set(type, stats.types.get(type) + 1);
+
+      const venue = VenueRegistry.getAbbr(entry, pubConfig);
+      stats.venues.set(venue, (stats.venues.get(venue) || 0) + 1);
+
+      // CCF rank from data/venues.json, when the registry is loaded
+      if (typeof VenueRegistry !== 'undefined' && VenueRegistry.active) {
+        const ccf = VenueRegistry.active.resolve(entry, pubConfig).ccf;
+        const rank = ccf ? `CCF-${ccf}` : 'Unranked';
+        stats.ranks.set(rank, (stats.ranks.get(rank) || 0) + 1);
+      }
+
+      const isCoFirst = (pubConfig.co_first_authors || []).map(BibtexParser.nameKey).includes(highlightKey);
+      const isFirst = !isCoFirst && entry.authors?.[0] && BibtexParser.nameKey(entry.authors[0]) === highlightKey;
+      const isCorresponding = (pubConfig.corresponding_authors || []).map(BibtexParser.nameKey).includes(highlightKey);
+      if (isFirst) stats.authorship.first++;
+      if (isCoFirst) stats.authorship.coFirst++;
+      if (isCorresponding) stats.authorship.corresponding++;
+      if (isFirst || isCoFirst || isCorresponding) stats.authorship.firstOrCorresponding++;
+
+      const recognition = PublicationStats.getRecognition(pubConfig.accept_info);
+      if (recognition) {
+        stats.recognition.push({
+          entry,
+          level: recognition,
+          venue,
+          acceptInfo: pubConfig.accept_info
+        });
+      }
+    });
+
+    stats.recognition.sort((a, b) => (parseInt(b.entry.year, 10) || 0) - (parseInt(a.entry.year, 10) || 0));
+    return stats;
+  }
+
+  /**
+   * Authorship rows with labels, shown as a share of all papers
+   * @param {Object} stats Statistics from compute()
+   * @returns {Array<{label: string, count: number}>} Rows
+   */
+  static getAuthorshipRows(stats) {
+    return [
+      { label: 'First author', count: stats.authorship.first },
+      { label: 'Co-first author', count: stats.authorship.coFirst },
+      { label: 'Corresponding author', count: stats.authorship.corresponding },
+      { label: 'First, co-first or corresponding', count: stats.authorship.firstOrCorresponding }
+    ];
+  }
+
+  /**
+   * CCF rank rows, best rank first
+   * @param {Object} stats Statistics from compute()
+   * @returns {Array<{label: string, count: number}>} Rows
+   */
+  static getRankRows(stats) {
+    return [...stats.ranks.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([label, count]) => ({ label, count }));
+  }
+
+  /**
+   * Percentage text
+   * @param {number} count Count
+   * @param {number} total Total
+   * @returns {string} e.g. "42.5%"
+   */
+  static formatShare(count, total) {
+    return total ? `${((count / total) * 100).toFixed(1)}%` : '0%';
+  }
+
+  /**
+   * Years in ascending order, with unknown years last
+   * @param {Object} stats Statistics from compute()
+   * @returns {Array<string>} Years
+   */
+  static getSortedYears(stats) {
+    return [...stats.years.keys()].sort((a, b) => {
+      if (a === 'Unknown') return 1;
+      if (b === 'Unknown') return -1;
+      return parseInt(a, 10) - parseInt(b, 10);
+    });
+  }
+
+  /**
+   * Export statistics as CSV (Section, Label, Count, Share)
+   * @param {Object} stats Statistics from compute()
+   * @returns {string} CSV text
+   */
+  static toCSV(stats) {
+    const quote = value => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['Section', 'Label', 'Count', 'Share']];
+    const add = (section, label, count) => rows.push([section, label, count, PublicationStats.formatShare(count, stats.total)]);
+
+    add('Total', 'All publications', stats.total);
+    PublicationStats.getSortedYears(stats).forEach(year => {
+      const counts = stats.years.get(year);
+      add('Year', year, [...counts.values()].reduce((sum, count) => sum + count, 0));
+      PublicationStats.TYPES.forEach(({ key, label }) => {
+        if (counts.get(key)) add('Year by type', `${year} ${label}`, counts.get(key));
+      });
+    });
+    PublicationStats.TYPES.forEach(({ key, label }) => add('Type', label, stats.types.get(key)));
+    [...stats.venues.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .forEach(([venue, count]) => add('Venue', venue, count));
+    PublicationStats.getRankRows(stats).forEach(({ label, count }) => add('CCF rank', label, count));
+    PublicationStats.getAuthorshipRows(stats).forEach(({ label, count }) => add('Authorship', label, count));
+
+    const levels = new Map();
+    stats.recognition.forEach(({ level }) => levels.set(level, (levels.get(level) || 0) + 1));
+    levels.forEach((count, level) => add('Recognition', level, count));
+    stats.recognition.forEach(({ entry, venue, acceptInfo }) => {
+      rows.push(['Recognized paper', `${entry.title} (${[venue, entry.year].filter(Boolean).join(' ')}; ${acceptInfo})`, 1, '']);
+    });
+
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag Tag name
+   * @param {Object} attributes Attributes
+   * @returns {SVGElement} Element
+   */
+  static createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+
+  /**
+   * Stacked column chart of papers per year by type
+   * @param {Object} stats Statistics from compute()
+   * @returns {SVGElement} Chart
+   */
+  static renderYearChart(stats) {
+    const years = PublicationStats.getSortedYears(stats);
+    const totals = years.map(year => [...stats.years.get(year).values()].reduce((sum, count) => sum + count, 0));
+    const max = Math.max(1, ...totals);
+    const barWidth = 28;
+    const gap = 10;
+    const chartHeight = 140;
+    const width = Math.max(200, years.length * (barWidth + gap) + gap);
+    const svg = PublicationStats.createSvgElement('svg', {
+      class: 'stats-chart',
+      viewBox: `0 0 ${width} ${chartHeight + 40}`,
+      role: 'img',
+      'aria-label': `Papers per year: ${years.map((year, i) => `${year}: ${totals[i]}`).join(', ')}`
+    });
+
+    years.forEach((year, i) => {
+      const x = gap + i * (barWidth + gap);
+      let y = chartHeight + 16;
+      PublicationStats.TYPES.forEach(({ key, label }) => {
+        const count = stats.years.get(year).get(key);
+        if (!count) return;
+        const height = (count / max) * chartHeight;
+        y -= height;
+        const rect = PublicationStats.createSvgElement('rect', {
+          class: `stats-series-${key}`,
+          x, y: y.toFixed(1), width: barWidth, height: height.toFixed(1)
+        });
+        const title = PublicationStats.createSvgElement('title');
+        title.textContent = `${year} ${label}: ${count}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+      });
+
+      const total = PublicationStats.createSvgElement('text', { class: 'stats-value', x: x + barWidth / 2, y: (y - 4).toFixed(1), 'text-anchor': 'middle' });
+      total.textContent = totals[i];
+      const label = PublicationStats.createSvgElement('text', { class: 'stats-label', x: x + barWidth / 2, y: chartHeight + 32, 'text-anchor': 'middle' });
+      label.textContent = year;
+      svg.append(total, label);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Horizontal bar chart
+   * @param {Array<{label: string, count: number, className: string}>} rows Rows
+   * @param {number} total Total used for the share text
+   * @param {string} ariaLabel Accessible chart description
+   * @returns {SVGElement} Chart
+   */
+  static renderBarChart(rows, total, ariaLabel) {
+    const rowHeight = 22;
+    const labelWidth = 200;
+    const barMax = 260;
+    const max = Math.max(1, ...rows.map(row => row.count));
+    const svg = PublicationStats.createSvgElement('svg', {
+      class: 'stats-chart',
+      viewBox: `0 0 ${labelWidth + barMax + 90} ${rows.length * rowHeight + 4}`,
+      role: 'img',
+      'aria-label': ariaLabel
+    });
+
+    rows.forEach((row, i) => {
+      const y = i * rowHeight + 2;
+      const label = PublicationStats.createSvgElement('text', { class: 'stats-label', x: labelWidth - 8, y: y + 14, 'text-anchor': 'end' });
+      label.textContent = row.label;
+      const width = (row.count / max) * barMax;
+      const bar = PublicationStats.createSvgElement('rect', {
+        class: row.className || 'stats-series-conference',
+        x: labelWidth, y: y + 3, width: Math.max(width, row.count ? 2 : 0).toFixed(1), height: rowHeight - 8
+      });
+      const value = PublicationStats.createSvgElement('text', { class: 'stats-value', x: (labelWidth + width + 6).toFixed(1), y: y + 14 });
+      value.textContent = `${row.count} (${PublicationStats.formatShare(row.count, total)})`;
+      svg.append(label, bar, value);
+    });
+
+    return svg;
+  }
+
+  /**
+   * Render the dashboard
+   * @param {HTMLElement} container Container element
+   * @param {Object} stats Statistics from compute()
+   * @param {Object} options Options
+   * @param {Function} options.onExport Called when "Export CSV" is clicked
+   */
+  static render(container, stats, options = {}) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'stats-summary';
+    const counts = PublicationStats.TYPES
+      .filter(({ key }) => stats.types.get(key))
+      .map(({ key, label }) => `${stats.types.get(key)} ${label.toLowerCase()}`);
+    summary.textContent = `${stats.total} publications shown${counts.length ? ` (${counts.join(', ')})` : ''}`;
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'export-btn';
+    exportButton.innerHTML = '<i class="fas fa-file-csv" aria-hidden="true"></i> Export CSV';
+    exportButton.addEventListener('click', () => (options.onExport || (() => {}))());
+    summary.appendChild(exportButton);
+    container.appendChild(summary);
+
+    if (stats.total === 0) return;
+
+    const addSection = (title, content) => {
+      const section = document.createElement('section');
+      section.className = 'stats-section';
+      const heading = document.createElement('h3');
+      heading.textContent = title;
+      section.append(heading, content);
+      container.appendChild(section);
+      return section;
+    };
+
+    const yearSection = addSection('Papers per year', PublicationStats.renderYearChart(stats));
+    const legend = document.createElement('ul');
+    legend.className = 'stats-legend';
+    PublicationStats.TYPES.filter(({ key }) => stats.types.get(key)).forEach(({ key, label }) => {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = `stats-swatch stats-series-${key}`;
+      item.append(swatch, document.createTextNode(label));
+      legend.appendChild(item);
+    });
+    yearSection.appendChild(legend);
+
+    const venues = [...stats.venues.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, PublicationStats.MAX_VENUES)
+      .map(([label, count]) => ({ label, count }));
+    addSection('Top venues', PublicationStats.renderBarChart(venues, stats.total,
+      `Papers per venue: ${venues.map(row => `${row.label}: ${row.count}`).join(', ')}`));
+
+    const ranks = PublicationStats.getRankRows(stats);
+    if (ranks.length > 0) {
+      addSection('CCF rank', PublicationStats.renderBarChart(ranks, stats.total,
+        `CCF rank: ${ranks.map(row => `${row.label}: ${row.count}`).join(', ')}`));
+    }
+
+    const authorship = PublicationStats.getAuthorshipRows(stats).map(row => ({ ...row, className: 'stats-series-journal' }));
+    addSection('Authorship', PublicationStats.renderBarChart(authorship, stats.total,
+      `Authorship: ${authorship.map(row => `${row.label}: ${row.count}`).join(', ')}`));
+
+    const recognitionList = document.createElement('ul');
+    recognitionList.className = 'stats-recognition';
+    if (stats.recognition.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No orals or highlights among the shown publications.';
+      recognitionList.appendChild(item);
+    }
+    stats.recognition.forEach(({ entry, level, venue, acceptInfo }) => {
+      const item = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = 'accept-info';
+      badge.textContent = acceptInfo;
+      item.append(badge, document.createTextNode(` ${entry.title} — ${venue} ${entry.year || ''}`));
+      item.title = level;
+      recognitionList.appendChild(item);
+    });
+    addSection(`Orals & highlights (${stats.recognition.length})`, recognitionList);
+  }
+}
+
+// Export stats
+window.PublicationStats = PublicationStats;
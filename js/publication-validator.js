@@ -0,0 +1,226 @@
+/**
+ * Publication Validator
+ * Cross-checks parsed publications.bib entries against publication-config.json
+ * and coauthor.json and produces a structured report. Used by the ?debug=1
+ * overlay on publications.html and by scripts/validate-publications.js
+ */
+class PublicationValidator {
+  /**
+   * Fields every entry of a type must have (alternatives separated by "|")
+   */
+  static get REQUIRED_FIELDS() {
+    return {
+      article: ['author', 'title', 'journal', 'year'],
+      inproceedings: ['author', 'title', 'booktitle', 'year'],
+      conference: ['author', 'title', 'booktitle', 'year'],
+      book: ['author|editor', 'title', 'publisher', 'year'],
+      techreport: ['author', 'title', 'institution', 'year'],
+      phdthesis: ['author', 'title', 'school', 'year'],
+      mastersthesis: ['author', 'title', 'school', 'year'],
+      misc: ['author', 'title', 'year'],
+      unpublished: ['author', 'title', 'note']
+    };
+  }
+
+  /**
+   * Per-publication config fields understood by the site
+   */
+  static get CONFIG_FIELDS() {
+    return Object.keys(PublicationMetadata.FIELDS);
+  }
+
+  /**
+   * Validate the site data
+   * @param {Object} data Data to validate
+   * @param {Array} data.entries Parsed BibtexParser entries
+   * @param {Array} data.parserErrors BibtexParser errors
+   * @param {Object} data.publicationConfig Contents of publication-config.json (x- bib fields are merged in)
+   * @param {Object} data.coauthorsData Contents of coauthor.json
+   * @param {Function} data.fileExists async (path) => boolean; file checks are skipped without it
+   * @param {VenueRegistry} data.venueRegistry Registry from data/venues.json; venue checks are skipped without it
+   * @returns {Promise<Object>} Report with issues and counts
+   */
+  static async validate(data) {
+    const entries = data.entries || [];
+    const publications = PublicationMetadata.merge(entries, data.publicationConfig).publications;
+    const issues = [];
+    const add = (level, code, message, details = {}) => issues.push({ level, code, message, ...details });
+
+    // Syntax errors reported by the parser
+    (data.parserErrors || []).forEach(error => {
+      add('error', 'parse-error', error.message, { line: error.line, column: error.column });
+    });
+
+    // Duplicate citeKeys and missing required fields
+    const entriesByKey = new Map();
+    entries.forEach(entry => {
+      if (entriesByKey.has(entry.citeKey)) {
+        add('error', 'duplicate-citekey',
+          `Duplicate citeKey "${entry.citeKey}" (first defined on line ${entriesByKey.get(entry.citeKey).line})`,
+          { citeKey: entry.citeKey, line: entry.line });
+      } else {
+        entriesByKey.set(entry.citeKey, entry);
+      }
+
+      const raw = entry.raw || {};
+      Object.keys(raw).forEach(name => {
+        const field = PublicationMetadata.toConfigName(name);
+        if (field && !PublicationValidator.CONFIG_FIELDS.includes(field)) {
+          const suggestion = PublicationValidator.suggest(field, PublicationValidator.CONFIG_FIELDS);
+          add('warning', 'unknown-config-field',
+            `@${entry.type}{${entry.citeKey}} has unknown field "${name}"${suggestion ? ` (did you mean "${PublicationMetadata.toBibName(suggestion)}"?)` : ''}`,
+            { citeKey: entry.citeKey, line: entry.line });
+        } else if (field && !PublicationMetadata.isValid(field, raw[name])) {
+          add('error', 'invalid-bib-value',
+            `@${entry.type}{${entry.citeKey}} has "${name} = {${raw[name]}}", which is not a valid ${PublicationMetadata.FIELDS[field]}`,
+            { citeKey: entry.citeKey, line: entry.line });
+        }
+      });
+      if (data.venueRegistry && !data.venueRegistry.resolve(entry, publications[entry.citeKey] || {}).known) {
+        add('warning', 'unknown-venue',
+          `@${entry.type}{${entry.citeKey}} has a venue that is not in data/venues.json: "${entry.journal || entry.booktitle || ''}"`,
+          { citeKey: entry.citeKey, line: entry.line });
+      }
+      (PublicationValidator.REQUIRED_FIELDS[entry.type] || []).forEach(field => {
+        const alternatives = field.split('|');
+        if (!alternatives.some(name => String(raw[name] || '').trim())) {
+          add('error', 'missing-field', `@${entry.type}{${entry.citeKey}} is missing "${alternatives.join('" or "')}"`,
+            { citeKey: entry.citeKey, line: entry.line });
+        }
+      });
+    });
+
+    // Config entries: unknown citeKeys, unknown fields, value types and author names
+    const citeKeys = [...entriesByKey.keys()];
+    Object.entries(publications).forEach(([citeKey, pubConfig]) => {
+      const entry = entriesByKey.get(citeKey);
+      if (!entry) {
+        const suggestion = PublicationValidator.suggest(citeKey, citeKeys);
+        add('error', 'unknown-config-key',
+          `publication-config.json has "${citeKey}" but publications.bib has no such entry${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          { citeKey });
+        return;
+      }
+
+      Object.keys(pubConfig || {}).forEach(field => {
+        if (!PublicationValidator.CONFIG_FIELDS.includes(field)) {
+          const suggestion = PublicationValidator.suggest(field, PublicationValidator.CONFIG_FIELDS);
+          add('warning', 'unknown-config-field',
+            `"${citeKey}" has unknown field "${field}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+            { citeKey });
+        }
+      });
+
+      if ('select' in pubConfig && typeof pubConfig.select !== 'boolean') {
+        add('warning', 'invalid-config-value', `"${citeKey}".select should be true or false`, { citeKey });
+      }
+      ['topics', 'keywords', 'co_first_authors', 'corresponding_authors'].forEach(field => {
+        if (field in pubConfig && !Array.isArray(pubConfig[field]) && !(field === 'keywords' && typeof pubConfig[field] === 'string')) {
+          add('warning', 'invalid-config-value', `"${citeKey}".${field} should be a list`, { citeKey });
+        }
+      });
+      ['citations', 'stars', 'tier'].forEach(field => {
+        if (field in pubConfig && typeof pubConfig[field] !== 'number') {
+          add('warning', 'invalid-config-value', `"${citeKey}".${field} should be a number`, { citeKey });
+        }
+      });
+
+      if (pubConfig.preprint && !entriesByKey.has(pubConfig.preprint)) {
+        add('warning', 'unknown-preprint',
+          `"${citeKey}".preprint is "${pubConfig.preprint}", but publications.bib has no such entry`, { citeKey });
+      }
+
+      const authorKeys = (entry.authors || []).map(name => BibtexParser.nameKey(name));
+      ['co_first_authors', 'corresponding_authors'].forEach(field => {
+        (Array.isArray(pubConfig[field]) ? pubConfig[field] : []).forEach(name => {
+          if (!authorKeys.includes(BibtexParser.nameKey(name))) {
+            add('warning', 'unknown-author', `"${citeKey}".${field} lists "${name}", who is not an author of the paper`,
+              { citeKey, line: entry.line });
+          }
+        });
+      });
+    });
+
+    // Local files referenced from the config
+    if (data.fileExists) {
+      const checks = [];
+      Object.entries(publications).forEach(([citeKey, pubConfig]) => {
+        ['image', 'pdf'].forEach(field => {
+          const path = pubConfig?.[field];
+          if (typeof path !== 'string' || !path || /^[a-z][a-z0-9+.-]*:/i.test(path)) return;
+          checks.push(Promise.resolve(data.fileExists(path)).then(exists => {
+            if (!exists) {
+              add('error', 'missing-file', `"${citeKey}".${field} points to missing file "${path}"`, { citeKey });
+            }
+          }));
+        });
+      });
+      await Promise.all(checks);
+    }
+
+    // Coauthors that no longer appear in any paper
+    const allAuthorKeys = new Set();
+    entries.forEach(entry => (entry.authors || []).forEach(name => allAuthorKeys.add(BibtexParser.nameKey(name))));
+    Object.entries(data.coauthorsData?.coauthors || {}).forEach(([name, info]) => {
+      if (!allAuthorKeys.has(BibtexParser.nameKey(name))) {
+        add('warning', 'unused-coauthor', `coauthor.json lists "${name}", who is not an author of any publication`);
+      }
+      if (info?.website && !/^https?:\/\//i.test(info.website)) {
+        add('warning', 'invalid-config-value', `coauthor.json website of "${name}" is not an http(s) URL`);
+      }
+    });
+
+    return {
+      issues,
+      counts: {
+        error: issues.filter(issue => issue.level === 'error').length,
+        warning: issues.filter(issue => issue.level === 'warning').length
+      },
+      entries: entries.length,
+      configEntries: Object.keys(publications).length
+    };
+  }
+
+  /**
+   * Closest candidate to a misspelled name
+   * @param {string} name Name
+   * @param {Array<string>} candidates Known names
+   * @returns {string|null} Best candidate within a small edit distance
+   */
+  static suggest(name, candidates) {
+    const limit = Math.max(1, Math.min(3, Math.floor(name.length / 4)));
+    let best = null;
+    let bestDistance = limit + 1;
+    candidates.forEach(candidate => {
+      const distance = PublicationSearch.editDistance(name.toLowerCase(), candidate.toLowerCase(), limit);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Plain-text version of a report
+   * @param {Object} report Report from validate()
+   * @returns {string} Report text
+   */
+  static formatReport(report) {
+    const lines = report.issues.map(issue => {
+      const location = issue.line ? `publications.bib:${issue.line}${issue.column ? `:${issue.column}` : ''} ` : '';
+      return `${issue.level.toUpperCase()} [${issue.code}] ${location}${issue.message}`;
+    });
+    lines.push(`${report.entries} bib entries, ${report.configEntries} config entries: ` +
+      `${report.counts.error} errors, ${report.counts.warning} warnings`);
+    return lines.join('\n');
+  }
+}
+
+// Export validator (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationValidator = PublicationValidator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationValidator;
+}
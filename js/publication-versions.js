@@ -0,0 +1,160 @@
+/**
+ * Publication Versions
+ * Links arXiv preprint entries to the published version of the same paper so
+ * each paper is listed once, under its published venue. A preprint matches a
+ * published entry by (in order of precedence):
+ *   1. a "preprint" citeKey in the published entry's config (or x-preprint field)
+ *   2. the same arXiv ID (see CitationFormatter.getArxivId)
+ *   3. a near-identical normalized title with at least one shared author
+ */
+class PublicationVersions {
+  /**
+   * Minimum title similarity (Dice coefficient over words) for a title match
+   */
+  static get TITLE_THRESHOLD() {
+    return 0.9;
+  }
+
+  /**
+   * Whether an entry is an arXiv/unpublished preprint
+   * @param {Object} entry Parsed entry
+   * @returns {boolean} Is preprint
+   */
+  static isPreprint(entry) {
+    if (BibtexParser.TYPE_GROUPS.preprint.includes(entry.type) || entry.type === 'preprint') return true;
+    return /\barxiv\b/i.test(entry.journal || entry.booktitle || '');
+  }
+
+  /**
+   * Words of a title, lowercased and without accents, braces or punctuation
+   * @param {string} title Title
+   * @returns {Array<string>} Words
+   */
+  static getTitleWords(title) {
+    return String(title || '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Similarity of two titles between 0 and 1
+   * @param {string} a Title
+   * @param {string} b Title
+   * @returns {number} Dice coefficient of the two word sets
+   */
+  static titleSimilarity(a, b) {
+    const wordsA = new Set(PublicationVersions.getTitleWords(a));
+    const wordsB = new Set(PublicationVersions.getTitleWords(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+
+  /**
+   * Whether two entries have at least one author in common
+   * @param {Object} a Parsed entry
+   * @param {Object} b Parsed entry
+   * @returns {boolean} Share an author
+   */
+  static shareAuthor(a, b) {
+    const keys = new Set((a.authors || []).map(name => BibtexParser.nameKey(name)));
+    return (b.authors || []).some(name => keys.has(BibtexParser.nameKey(name)));
+  }
+
+  /**
+   * Merge preprints into their published versions
+   * The published entry keeps its citeKey and BibTeX and gains a "preprint"
+   * property ({citeKey, arxivId, url, reason}); config fields it lacks are
+   * taken from the preprint's config (e.g. "select" or "image")
+   * @param {Array} entries Parsed entries
+   * @param {Object} publicationConfig Contents of publication-config.json (x- fields merged)
+   * @returns {Object} {entries, publicationConfig, merged, aliases}; aliases maps
+   *   preprint citeKeys to the citeKey they were merged into
+   */
+  static link(entries, publicationConfig = {}) {
+    const configs = publicationConfig?.publications || {};
+    const preprints = entries.filter(entry => PublicationVersions.isPreprint(entry));
+    const published = entries.filter(entry => !PublicationVersions.isPreprint(entry));
+    const pairs = new Map();
+    const claimed = new Set();
+    const pair = (preprint, entry, reason) => {
+      pairs.set(preprint.citeKey, { entry, reason });
+      claimed.add(entry.citeKey);
+    };
+
+    // 1. Links declared in the config
+    published.forEach(entry => {
+      const key = configs[entry.citeKey]?.preprint;
+      const preprint = key && preprints.find(candidate => candidate.citeKey === key);
+      if (preprint && !pairs.has(preprint.citeKey)) pair(preprint, entry, 'config');
+    });
+
+    // 2. Same arXiv ID
+    const byArxivId = new Map();
+    published.forEach(entry => {
+      const id = CitationFormatter.getArxivId(entry);
+      if (id && !byArxivId.has(id)) byArxivId.set(id, entry);
+    });
+    preprints.forEach(preprint => {
+      const entry = byArxivId.get(CitationFormatter.getArxivId(preprint));
+      if (entry && !pairs.has(preprint.citeKey) && !claimed.has(entry.citeKey)) pair(preprint, entry, 'eprint');
+    });
+
+    // 3. Same title (allowing small edits) and a shared author
+    preprints.forEach(preprint => {
+      if (pairs.has(preprint.citeKey)) return;
+      let best = null;
+      let bestScore = PublicationVersions.TITLE_THRESHOLD;
+      published.forEach(entry => {
+        if (claimed.has(entry.citeKey) || !PublicationVersions.shareAuthor(preprint, entry)) return;
+        const score = PublicationVersions.titleSimilarity(preprint.title, entry.title);
+        if (score >= bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      });
+      if (best) pair(preprint, best, 'title');
+    });
+
+    const publications = { ...configs };
+    const merged = [];
+    const aliases = new Map();
+    const preprintOf = new Map();
+    preprints.forEach(preprint => {
+      const match = pairs.get(preprint.citeKey);
+      if (!match) return;
+      const arxivId = CitationFormatter.getArxivId(preprint);
+      preprintOf.set(match.entry.citeKey, {
+        citeKey: preprint.citeKey,
+        arxivId,
+        url: preprint.url || (arxivId ? `https://arxiv.org/abs/${arxivId}` : ''),
+        reason: match.reason
+      });
+      if (configs[preprint.citeKey] || configs[match.entry.citeKey]) {
+        publications[match.entry.citeKey] = { ...configs[preprint.citeKey], ...configs[match.entry.citeKey] };
+      }
+      merged.push({ published: match.entry.citeKey, preprint: preprint.citeKey, reason: match.reason });
+      aliases.set(preprint.citeKey, match.entry.citeKey);
+    });
+
+    return {
+      entries: entries
+        .filter(entry => !aliases.has(entry.citeKey))
+        .map(entry => preprintOf.has(entry.citeKey) ? { ...entry, preprint: preprintOf.get(entry.citeKey) } : entry),
+      publicationConfig: { ...publicationConfig, publications },
+      merged,
+      aliases
+    };
+  }
+}
+
+// Export versions (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.PublicationVersions = PublicationVersions;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublicationVersions;
+}
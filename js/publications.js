@@ -9,6 +9,17 @@ document.addEventListener('DOMContentLoaded', function() {
   const publicationsContainer = document.getElementById('publications-container') || 
                                document.querySelector('.publications-container');
   const filterButtons = document.querySelectorAll('.filter-btn');
+  const exportControls = document.getElementById('publication-export');
+  const searchInput = document.getElementById('publication-search-input');
+  const facetsPanel = document.getElementById('publication-facets-panel');
+  const sortSelect = document.getElementById('publication-sort');
+  const groupSelect = document.getElementById('publication-group');
+  const authorProfile = document.getElementById('author-profile');
+  const initialTitle = document.title;
+  const graphPanel = document.getElementById('coauthor-graph-panel');
+  const statsPanel = document.getElementById('publication-stats-panel');
+  const statsContainer = document.getElementById('publication-stats');
+  const graphContainer = document.getElementById('coauthor-graph');
   
   // Default BIB data (example)
   let defaultBibData = `
@@ -53,14 +64,16 @@ document.addEventListener('DOMContentLoaded', function() {
   let coauthorsData = null;
   let publicationConfig = null;
   
+  // publication-config.json as loaded, before x- fields from the .bib are merged in
+  let loadedPublicationConfig = null;
+  
+  // citeKeys with a generated landing page (data/paper-pages.json)
+  let paperPages = new Set();
+  
   // Function to load coauthors data
   async function loadCoauthorsData() {
     try {
-      const response = await fetch('data/coauthor.json');
-      if (!response.ok) {
-        throw new Error('Failed to load coauthor info');
-      }
-      coauthorsData = await response.json();
+      coauthorsData = await DataLoader.json('data/coauthor.json');
       return coauthorsData;
     } catch (error) {
       console.error('Error loading coauthor info:', error);
@@ -72,219 +85,103 @@ document.addEventListener('DOMContentLoaded', function() {
   // Function to load publication config data
   async function loadPublicationConfig() {
     try {
-      const response = await fetch('data/publication-config.json');
-      if (!response.ok) {
-        throw new Error('Failed to load publication config');
-      }
-      publicationConfig = await response.json();
+      publicationConfig = await DataLoader.json('data/publication-config.json');
+      loadedPublicationConfig = publicationConfig;
       return publicationConfig;
     } catch (error) {
       console.error('Error loading publication config:', error);
       publicationConfig = { publications: {} };
+      loadedPublicationConfig = publicationConfig;
       return publicationConfig;
     }
   }
   
+  // Function to load the venue registry (canonical venue names, abbreviations and tiers)
+  async function loadVenueRegistry() {
+    try {
+      VenueRegistry.active = new VenueRegistry(await DataLoader.json('data/venues.json'));
+    } catch (error) {
+      console.error('Error loading venue registry:', error);
+      VenueRegistry.active = new VenueRegistry();
+    }
+    return VenueRegistry.active;
+  }
+  
+  // Function to load the citeKeys that have a landing page in papers/
+  async function loadPaperPages() {
+    try {
+      paperPages = new Set(await DataLoader.json('data/paper-pages.json'));
+    } catch (error) {
+      console.error('Error loading paper page list:', error);
+      paperPages = new Set();
+    }
+    return paperPages;
+  }
+  
   // Store current publication data
   let currentPublications = [];
   let currentFilter = 'all';
   
+  // Publications currently shown in the list and the ones ticked for export
+  let visiblePublications = [];
+  const selectedKeys = new Set();
+  
+  // Search index over the parsed entries and the active query
+  let searchIndex = null;
+  let currentQuery = '';
+  
+  // Facet filters (year, venue, coauthor, topic, availability)
+  let facets = null;
+  
+  // Sort and grouping modes (see PublicationSort), plus lazily loaded GitHub stars
+  let currentSort = 'date';
+  let currentGroup = 'year';
+  // Grouping modes offered for the current publications (see PublicationSort.getGroupModes)
+  let groupModes = PublicationSort.getGroupModes([]);
+  let githubStars = null;
+  
+  // Collaborator records, the author whose profile is shown and the page view
+  // ('list' or 'collaborators')
+  let authorIndex = null;
+  let currentAuthor = '';
+  let currentView = 'list';
+  
+  // Data validation overlay (publications.html?debug=1)
+  const debugMode = new URLSearchParams(window.location.search).get('debug') === '1';
+  
+  // Collaboration network, drawn the first time its panel is opened
+  let coauthorGraph = null;
+  
+  // Whether the #citeKey in the URL still needs to be revealed after rendering
+  let pendingHashTarget = Boolean(window.location.hash);
+  
+  // Preprint citeKey -> citeKey of the published version it was merged into
+  let preprintAliases = new Map();
+  
+  // Markup for publication items (shared with scripts/prerender.js)
+  let renderer = null;
+  
+  // Formats offered for bulk export
+  const BULK_EXPORT_FORMATS = ['bibtex', 'ris', 'csl'];
+  
+  // Markup is built with the escaping tagged template (see html-template.js)
+  const { html } = HtmlTemplate;
+  
   /**
    * Create a publication element
    * @param {Object} pub Publication object
    * @param {boolean} isIndexPage Whether this is for index page
    * @returns {HTMLElement} Publication element
    */
-    function createPublicationElement(pub, isIndexPage = false) {
-      const pubElement = document.createElement('div');
-      pubElement.className = 'publication-item';
-      pubElement.classList.add(isIndexPage ? 'publication-item--index' : 'publication-item--page');
-      
-      // Get publication config data
-      const pubConfig = publicationConfig?.publications?.[pub.citeKey] || {};
-      
-      // Add selected/highlighted class if select field is true, but not on index page
-      if (!isIndexPage && (pubConfig.select === true || pub.highlight === true)) {
-        pubElement.classList.add('publication-highlighted');
-      }
-      
-      // Image (left side) - only show on index page
-      if (isIndexPage) {
-        const image = document.createElement('img');
-        image.className = 'publication-image';
-        // Use image from publication config first, then fallback to pub.image or placeholder
-        image.src = pubConfig.image || pub.image || 'assets/publication-placeholder.jpg';
-        image.alt = pub.title || 'Publication';
-        image.onerror = function() {
-          this.src = 'https://via.placeholder.com/150x200/f0f0f0/808080?text=Publication';
-        };
-        pubElement.appendChild(image);
-      }
-      
-      // Content container (right side)
-      const contentDiv = document.createElement('div');
-      contentDiv.className = 'publication-content';
-      
-      // Title
-      const title = document.createElement('div');
-      title.className = 'publication-title';
-      title.textContent = pub.title || 'Untitled';
-      contentDiv.appendChild(title);
-      
-      // Authors
-      if (pub.author) {
-        const authors = document.createElement('div');
-        authors.className = 'publication-authors';
-        authors.innerHTML = formatAuthorsWithLinks(pub.author, pubConfig);
-        contentDiv.appendChild(authors);
-      }
-      
-      // Publication info
-      const venue = document.createElement('div');
-      venue.className = 'publication-venue';
-      
-      // Check if we're on publications page
-      const isPublicationsPage = document.body.classList.contains('publications-page');
-      
-      // Build venue HTML with bold abbreviations and optional acceptance info
-      // Helper to bold abbreviations inside parentheses, e.g., (ECCV) -> (<strong>ECCV</strong>)
-      function boldAbbreviations(text) {
-        if (!text) return '';
-        return text.replace(/\(([^)]+)\)/g, '(<strong>$1</strong>)');
-      }
-  
-      const acceptInfo = pubConfig.accept_info ? `(<span class="accept-info">${pubConfig.accept_info}</span>)` : '';
-  
-      let venueCore = '';
-      if (pubConfig.venue) {
-        venueCore = boldAbbreviations(pubConfig.venue);
-      } else if (pub.type === 'article') {
-        venueCore = boldAbbreviations(pub.journal || '');
-      } else if (pub.type === 'inproceedings' || pub.type === 'conference') {
-        venueCore = boldAbbreviations(pub.booktitle || '');
-      } else if (pub.type === 'preprint' || pub.type === 'misc' || 
-                (pub.archivePrefix && pub.archivePrefix.toLowerCase() === 'arxiv') ||
-                (pub.keywords && pub.keywords.includes('preprint'))) {
-        venueCore = boldAbbreviations('arXiv');
-      } else {
-        venueCore = boldAbbreviations(pub.publisher || '');
-      }
-  
-      const venueHtml = `${venueCore}, ${pub.year || ''}${acceptInfo ? ' ' + acceptInfo : ''}`;
-      
-      // If on publications page, add inline links to venue
-      if (isPublicationsPage) {
-        const inlineLinks = [];
-        
-        // PDF link
-        if (pubConfig.pdf || pub.url || pub.pdf) {
-          inlineLinks.push(`<a href="${pubConfig.pdf || pub.url || pub.pdf || '#'}" target="_blank">PDF</a>`);
-        }
-        
-        // Code link (plain text, no badge)
-        const codeUrl = pubConfig.github || pub.github || pubConfig.code || pub.code;
-        if (codeUrl) {
-          inlineLinks.push(`<a href="${codeUrl}" target="_blank">GitHub</a>`);
-        }
-
-        // Project link
-        if (pubConfig.project) {
-          inlineLinks.push(`<a href="${pubConfig.project}" target="_blank">Project</a>`);
-        }
-        
-        // DOI link
-        if (pub.doi) {
-          inlineLinks.push(`<a href="https://doi.org/${pub.doi}" target="_blank">DOI</a>`);
-        }
-        
-        // BibTeX link
-        inlineLinks.push(`<a href="#" class="cite-link" data-key="${pub.citeKey || pub.key || pub.id}">Cite</a>`);
-        
-        // Combine venue HTML with links
-        if (inlineLinks.length > 0) {
-          venue.innerHTML = `${venueHtml} | ${inlineLinks.join(' | ')}`;
-        } else {
-          venue.innerHTML = venueHtml;
-        }
-      } else {
-        venue.innerHTML = venueHtml;
-      }
-      
-      contentDiv.appendChild(venue);
-      
-      // Only create traditional links layout for index page
-      if (!isPublicationsPage) {
-        // Year and Links container
-        const yearLinksContainer = document.createElement('div');
-        yearLinksContainer.className = 'year-links-container';
-        contentDiv.appendChild(yearLinksContainer);
-        
-        // Links
-        const links = document.createElement('div');
-        links.className = 'publication-links';
-        yearLinksContainer.appendChild(links);
-        
-        // PDF link from config
-        if (pubConfig.pdf || pub.url || pub.pdf) {
-          const pdfLink = document.createElement('a');
-          pdfLink.href = pubConfig.pdf || pub.url || pub.pdf || '#';
-          pdfLink.innerHTML = '<i class="fas fa-file-pdf"></i> PDF';
-          pdfLink.target = '_blank';
-          links.appendChild(pdfLink);
-        }
-
-        if (pubConfig.project) {
-          const projectLink = document.createElement('a');
-          projectLink.href = pubConfig.project;
-          projectLink.innerHTML = '<i class="fas fa-link"></i> Project';
-          projectLink.target = '_blank';
-          links.appendChild(projectLink);
-        }
-        
-        // Code link from config or bib (check both 'github' and 'code' fields)
-        const codeUrl = pubConfig.github || pub.github || pubConfig.code || pub.code;
-        if (codeUrl) {
-          // GitHub stars badge for index page
-          if (codeUrl.includes('github.com')) {
-            const githubUrl = codeUrl.replace('https://github.com/', '').replace('http://github.com/', '');
-            const repoPath = githubUrl.split('/').slice(0, 2).join('/');
-            if (repoPath.includes('/')) {
-              const starsLink = document.createElement('a');
-              starsLink.href = codeUrl;
-              starsLink.target = '_blank';
-              starsLink.className = 'github-stars';
-              starsLink.innerHTML = `<img src="https://img.shields.io/github/stars/${repoPath}?style=social" alt="GitHub stars" style="vertical-align: middle;">`;
-              links.appendChild(starsLink);
-            }
-          }
-        }
-        
-        // DOI link
-        if (pub.doi) {
-          const doiLink = document.createElement('a');
-          doiLink.href = `https://doi.org/${pub.doi}`;
-          doiLink.innerHTML = '<i class="fas fa-external-link-alt"></i> DOI';
-          doiLink.target = '_blank';
-          links.appendChild(doiLink);
-        }
-        
-        // BibTeX citation
-        const citeLink = document.createElement('a');
-        citeLink.href = '#';
-        citeLink.innerHTML = '<i class="fas fa-quote-right"></i> Cite';
-        citeLink.onclick = function(e) {
-          e.preventDefault();
-          showBibtex(pub, pubElement);
-        };
-        links.appendChild(citeLink);
-      }
-      
-      pubElement.appendChild(contentDiv);
-      return pubElement;
-    }
+  function createPublicationElement(pub, isIndexPage = false) {
+    const template = document.createElement('template');
+    HtmlTemplate.render(template, renderer.renderItem(pub, { isIndexPage }));
+    return template.content.firstElementChild;
+  }
   
   /**
    * Render publications for index page with journal and conference sections
+   * Prerendered sections (scripts/prerender.js) are kept when they are up to date
    * @param {Array} publications Publications array
    */
   function renderIndexPublications(publications) {
@@ -294,62 +191,32 @@ document.addEventListener('DOMContentLoaded', function() {
     
     if (!journalContainer || !conferenceContainer || !preprintContainer) return;
     
-    // Clear containers
-    preprintContainer.innerHTML = '';
-    journalContainer.innerHTML = '';
-    conferenceContainer.innerHTML = '';
-    
-    // Filter selected publications
-    const selectedPublications = publications.filter(pub => {
-      const pubConfig = publicationConfig?.publications?.[pub.citeKey] || {};
-      return pubConfig.select === true || pub.highlight === true;
+    // Selected publications by section
+    const sections = PublicationRenderer.getIndexSections(publications, publicationConfig);
+    Object.entries(PublicationRenderer.INDEX_SECTIONS).forEach(([section, { container }]) => {
+      HtmlTemplate.hydrate(document.getElementById(container), renderer.renderIndexSection(sections[section], section));
     });
     
-    // Separate by type
-    const preprintPubs = selectedPublications.filter(pub => pub.type === 'preprint' || pub.type === 'misc'); 
-    const journalPubs = selectedPublications.filter(pub => pub.type === 'article');
-    const conferencePubs = selectedPublications.filter(pub => 
-      pub.type === 'inproceedings' || pub.type === 'conference'
-    );
-
-    // Render preprint publications
-    if (preprintPubs.length === 0) {
-      // Hide the entire preprint section
-      const preprintSection = preprintContainer.closest('.publication-section');
-      if (preprintSection) {
-        preprintSection.style.display = 'none';
-      }
-      preprintContainer.innerHTML = '<div class="no-publications">No selected preprint papers found</div>';
-    } else {
-      // Ensure the section is visible if there are preprints
-      const preprintSection = preprintContainer.closest('.publication-section');
-      if (preprintSection) {
-        preprintSection.style.display = 'block';
-      }
-      preprintPubs.forEach(pub => {
-        preprintContainer.appendChild(createPublicationElement(pub, true));
-      });
-    }
-
-    // Render conference publications
-    if (conferencePubs.length === 0) {
-      conferenceContainer.innerHTML = '<div class="no-publications">No selected conference papers found</div>';
-    } else {
-      conferencePubs.forEach(pub => {
-        conferenceContainer.appendChild(createPublicationElement(pub, true));
-      });
-    }
+    injectStructuredData(Object.values(sections).flat());
     
-    // Render journal publications
-    if (journalPubs.length === 0) {
-      journalContainer.innerHTML = '<div class="no-publications">No selected journal papers found</div>';
-    } else {
-      journalPubs.forEach(pub => {
-        journalContainer.appendChild(createPublicationElement(pub, true));
-      });
+    // Hide the entire preprint section when there are no selected preprints
+    const preprintSection = preprintContainer.closest('.publication-section');
+    if (preprintSection) {
+      preprintSection.style.display = sections.preprint.length === 0 ? 'none' : 'block';
     }
   }
   
+  /**
+   * Describe the listed papers as schema.org ScholarlyArticles (see StructuredData)
+   * @param {Array} publications Publications shown by the page
+   */
+  function injectStructuredData(publications) {
+    StructuredData.load()
+      .then(site => StructuredData.inject('ld-publications', StructuredData.graph(
+        publications.map(pub => StructuredData.article(pub, publicationConfig, site)))))
+      .catch(error => console.error('Failed to add publication structured data:', error));
+  }
+  
   /**
    * Render publications list
    * @param {Array} publications Publications array
@@ -373,109 +240,318 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Use requestAnimationFrame to ensure smooth transition
     requestAnimationFrame(() => {
-      // Clear container
-      publicationsContainer.innerHTML = '';
+      // Clear container (a prerendered list is kept until it is known to be out of date)
+      if (!publicationsContainer.hasAttribute('data-prerendered')) {
+        publicationsContainer.innerHTML = '';
+      }
       
-      // Filter publications
+      // Filter the linked list, so merged preprints stay merged
       let filteredPublications = publications;
       if (filter !== 'all') {
-        filteredPublications = parser.filterByType(filter);
+        const types = BibtexParser.TYPE_GROUPS[filter] || [filter];
+        filteredPublications = publications.filter(pub => types.includes(pub.type));
+      }
+      
+      // Apply search query, remembering matched terms for highlighting
+      const searchTerms = new Map();
+      if (currentQuery && searchIndex) {
+        searchIndex.search(currentQuery).forEach(result => {
+          searchTerms.set(result.entry.citeKey, result.terms);
+        });
+        filteredPublications = filteredPublications.filter(pub => searchTerms.has(pub.citeKey));
+      }
+      
+      // Author profile: joint papers only
+      renderAuthorProfile();
+      if (currentView === 'collaborators') {
+        publicationsContainer.classList.remove('publications-loading');
+        publicationsContainer.setAttribute('aria-busy', 'false');
+        return;
+      }
+      if (currentAuthor) {
+        const authorKey = BibtexParser.nameKey(currentAuthor);
+        filteredPublications = filteredPublications.filter(pub => PublicationAuthors.hasAuthor(pub, authorKey));
       }
       
+      // Refresh facet counts for the type/search results, then apply the facets
+      if (facets) {
+        facets.render(filteredPublications);
+        filteredPublications = facets.apply(filteredPublications);
+      }
+      
+      visiblePublications = filteredPublications;
+      updateExportControls();
+      renderStats();
+      
       // If no publications
       if (filteredPublications.length === 0) {
-        publicationsContainer.innerHTML = '<div class="no-publications state-message">No publications found matching the criteria</div>';
+        HtmlTemplate.render(publicationsContainer, html`<div class="no-publications state-message">No publications found matching the criteria</div>`);
         publicationsContainer.classList.remove('publications-loading');
         publicationsContainer.setAttribute('aria-busy', 'false');
         return;
       }
     
-    // Group publications by year
-    const publicationsByYear = {};
-    filteredPublications.forEach(pub => {
-      const year = pub.year || 'Unknown';
-      if (!publicationsByYear[year]) {
-        publicationsByYear[year] = [];
-      }
-      publicationsByYear[year].push(pub);
+    // Sort, then group (by year, venue, topic or not at all)
+    const sortedPublications = PublicationSort.sort(filteredPublications, currentSort, {
+      publicationConfig,
+      stars: githubStars || undefined
     });
+    const groups = PublicationSort.group(sortedPublications, currentGroup, publicationConfig);
     
-    // Sort years in descending order
-    const sortedYears = Object.keys(publicationsByYear).sort((a, b) => {
-      if (a === 'Unknown') return 1;
-      if (b === 'Unknown') return -1;
-      return parseInt(b) - parseInt(a);
-    });
+    // Render the groups, or keep the prerendered list if it shows exactly the same
+    const rendered = HtmlTemplate.hydrate(publicationsContainer, renderer.renderGroups(groups));
     
-    // Render publications grouped by year
-    sortedYears.forEach(year => {
-      // Create year section
-      const yearSection = document.createElement('div');
-      yearSection.className = 'year-section';
-      
-      // Year header
-      const yearHeader = document.createElement('h2');
-      yearHeader.className = 'year-header';
-      yearHeader.textContent = year;
-      yearSection.appendChild(yearHeader);
-      
-      // Publications for this year
-      const yearPublications = document.createElement('div');
-      yearPublications.className = 'year-publications';
-      
-      publicationsByYear[year].forEach((pub, index) => {
-        const pubElement = createPublicationElement(pub, false);
-        // Add staggered animation delay
-        pubElement.style.animationDelay = `${index * 0.05}s`;
-        yearPublications.appendChild(pubElement);
+    // Selection checkboxes, search highlights and the staggered entrance animation
+    publicationsContainer.querySelectorAll('.year-publications').forEach(groupElement => {
+      Array.from(groupElement.children).forEach((pubElement, index) => {
+        const pub = currentPublications.find(entry => entry.citeKey === pubElement.dataset.key);
+        if (!pub) return;
+        if (exportControls) {
+          addSelectionCheckbox(pubElement, pub);
+        }
+        if (searchTerms.has(pub.citeKey)) {
+          pubElement.querySelectorAll('.publication-title, .publication-authors, .publication-venue').forEach(element => {
+            PublicationSearch.highlight(element, searchTerms.get(pub.citeKey));
+          });
+        }
+        if (rendered) {
+          pubElement.style.animationDelay = `${index * 0.05}s`;
+        }
       });
-      
-      yearSection.appendChild(yearPublications);
-      publicationsContainer.appendChild(yearSection);
     });
     
     // Remove loading class after rendering is complete
     publicationsContainer.classList.remove('publications-loading');
     publicationsContainer.setAttribute('aria-busy', 'false');
+    
+    if (pendingHashTarget) {
+      pendingHashTarget = false;
+      revealHashTarget();
+    }
     });
   }
   
   /**
-   * Format author list with clickable links and indicators
-   * @param {string} authors Authors string
-   * @param {Object} pubConfig Publication configuration object
-   * @returns {string} Formatted author list with HTML links and indicators
+   * Show the author profile or collaborators index above the list, if requested
    */
-  function formatAuthorsWithLinks(authors, pubConfig = {}) {
-    const authorList = authors.split(' and ');
-    const coFirstAuthors = pubConfig.co_first_authors || [];
-    const correspondingAuthors = pubConfig.corresponding_authors || [];
+  function renderAuthorProfile() {
+    document.body.classList.toggle('collaborators-view', currentView === 'collaborators');
+    if (!authorProfile) return;
     
-    return authorList.map(author => {
-      const trimmedAuthor = author.trim();
-      const coauthorInfo = coauthorsData?.coauthors?.[trimmedAuthor];
-      
-      // Make Chaofeng Chen bold (with or without asterisk)
-      let formattedAuthor = trimmedAuthor;
-      if (trimmedAuthor === 'Chaofeng Chen') {
-        formattedAuthor = `<strong>${trimmedAuthor}</strong>`;
-      }
-      
-      // Add co-first author indicator (*)
-      if (coFirstAuthors.includes(trimmedAuthor)) {
-        formattedAuthor += '<sup>*</sup>';
-      }
-      
-      // Add corresponding author indicator (envelope icon)
-      if (correspondingAuthors.includes(trimmedAuthor)) {
-        formattedAuthor += '<sup>✉</sup>';
-      }
-      
-      if (coauthorInfo && coauthorInfo.website) {
-        return `<a href="${coauthorInfo.website}" target="_blank" title="${coauthorInfo.affiliation || ''}">${formattedAuthor}</a>`;
+    authorProfile.innerHTML = '';
+    if (!authorIndex) return;
+    
+    if (currentView === 'collaborators') {
+      authorProfile.appendChild(authorIndex.renderIndex());
+      document.title = 'Collaborators - Publications';
+    } else if (currentAuthor) {
+      authorProfile.appendChild(authorIndex.renderProfile(currentAuthor));
+      document.title = `${authorIndex.get(currentAuthor)?.name || currentAuthor} - Publications`;
+    } else {
+      document.title = initialTitle;
+    }
+    authorProfile.hidden = authorProfile.childElementCount === 0;
+  }
+  
+  /**
+   * Render the statistics dashboard for the publications currently shown
+   */
+  function renderStats() {
+    if (!statsPanel || !statsContainer || !statsPanel.open) return;
+    
+    const stats = PublicationStats.compute(visiblePublications, publicationConfig);
+    PublicationStats.render(statsContainer, stats, {
+      onExport: () => CitationFormatter.download('publication-stats.csv', PublicationStats.toCSV(stats), 'text/csv')
+    });
+  }
+  
+  if (statsPanel) {
+    statsPanel.addEventListener('toggle', renderStats);
+  }
+  
+  /**
+   * Add an export selection checkbox to a publication item
+   * @param {HTMLElement} pubElement Publication element
+   * @param {Object} pub Publication object
+   */
+  function addSelectionCheckbox(pubElement, pub) {
+    const label = document.createElement('label');
+    label.className = 'publication-select';
+    label.title = 'Select for export';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedKeys.has(pub.citeKey);
+    checkbox.setAttribute('aria-label', `Select "${pub.title || pub.citeKey}" for export`);
+    checkbox.addEventListener('change', function() {
+      if (this.checked) {
+        selectedKeys.add(pub.citeKey);
+      } else {
+        selectedKeys.delete(pub.citeKey);
       }
-      return formattedAuthor;
-    }).join(', ');
+      updateExportControls();
+    });
+    
+    label.appendChild(checkbox);
+    pubElement.insertBefore(label, pubElement.firstChild);
+  }
+  
+  /**
+   * Get the visible publications ticked for export
+   * @returns {Array} Selected publications in display order
+   */
+  function getSelectedPublications() {
+    return visiblePublications.filter(pub => selectedKeys.has(pub.citeKey));
+  }
+  
+  /**
+   * Refresh the export toolbar's selection count and button states
+   */
+  function updateExportControls() {
+    if (!exportControls) return;
+    
+    const selectedCount = getSelectedPublications().length;
+    exportControls.querySelector('#export-selection-count').textContent = `${selectedCount} selected`;
+    exportControls.querySelector('[data-export="filtered"]').disabled = visiblePublications.length === 0;
+    exportControls.querySelector('[data-export="selected"]').disabled = selectedCount === 0;
+    exportControls.querySelector('[data-export="clear"]').disabled = selectedKeys.size === 0;
+  }
+  
+  /**
+   * Download the filtered or selected publications as one file
+   * @param {string} mode 'filtered' or 'selected'
+   */
+  function exportPublications(mode) {
+    const entries = mode === 'selected' ? getSelectedPublications() : visiblePublications;
+    if (entries.length === 0) return;
+    
+    const formatId = exportControls.querySelector('#export-format').value;
+    const format = CitationFormatter.FORMATS[formatId];
+    const suffix = mode === 'filtered' && currentFilter !== 'all' ? `-${currentFilter}` : (mode === 'selected' ? '-selected' : '');
+    CitationFormatter.download(
+      `publications${suffix}.${format.extension}`,
+      CitationFormatter.formatAll(entries, formatId),
+      format.mimeType
+    );
+  }
+  
+  /**
+   * Setup the bulk export toolbar
+   */
+  function initExportControls() {
+    if (!exportControls) return;
+    
+    const formatSelect = exportControls.querySelector('#export-format');
+    HtmlTemplate.render(formatSelect, BULK_EXPORT_FORMATS
+      .map(id => html`<option value="${id}">${CitationFormatter.FORMATS[id].label}</option>`));
+    
+    exportControls.querySelectorAll('.export-btn').forEach(button => {
+      button.addEventListener('click', function() {
+        const action = this.getAttribute('data-export');
+        if (action === 'clear') {
+          selectedKeys.clear();
+          publicationsContainer.querySelectorAll('.publication-select input').forEach(input => {
+            input.checked = false;
+          });
+          updateExportControls();
+        } else {
+          exportPublications(action);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Options of a sort or grouping select
+   * @param {Object} modes Mode id -> {label}
+   * @returns {Array<SafeHtml>} Options
+   */
+  function toOptions(modes) {
+    return Object.keys(modes).map(id => html`<option value="${id}">${modes[id].label}</option>`);
+  }
+  
+  /**
+   * Offer the grouping modes that apply to the current publications
+   */
+  function renderGroupOptions() {
+    groupModes = PublicationSort.getGroupModes(currentPublications, publicationConfig);
+    if (!groupModes[currentGroup]) currentGroup = 'year';
+    if (!groupSelect) return;
+    HtmlTemplate.render(groupSelect, toOptions(groupModes));
+    groupSelect.value = currentGroup;
+  }
+  
+  /**
+   * Fill the sort and grouping selects and react to changes
+   */
+  function initSortControls() {
+    if (!sortSelect || !groupSelect) return;
+    
+    HtmlTemplate.render(sortSelect, toOptions(PublicationSort.SORT_MODES));
+    sortSelect.value = currentSort;
+    renderGroupOptions();
+    
+    sortSelect.addEventListener('change', function() {
+      currentSort = this.value;
+      ensureGithubStars();
+      renderPublications(currentPublications, currentFilter);
+      updateUrlState();
+    });
+    
+    groupSelect.addEventListener('change', function() {
+      currentGroup = this.value;
+      renderPublications(currentPublications, currentFilter);
+      updateUrlState();
+    });
+  }
+  
+  /**
+   * Fetch GitHub star counts the first time the stars sort is used
+   */
+  async function ensureGithubStars() {
+    if (currentSort !== 'stars' || githubStars || !currentPublications.length) return;
+    
+    // Mark the request as started so concurrent calls do not fetch twice
+    githubStars = new Map();
+    githubStars = await PublicationSort.loadGithubStars(currentPublications, publicationConfig);
+    if (currentSort === 'stars') {
+      renderPublications(currentPublications, currentFilter);
+    }
+  }
+  
+  /**
+   * Default BibTeX view for the Cite panel ('clean' or 'source')
+   * @returns {string} View name
+   */
+  function getDefaultCiteView() {
+    return publicationConfig?.display?.cite_format === 'source' ? 'source' : 'clean';
+  }
+  
+  /**
+   * Get BibTeX text for a publication
+   * @param {Object} publication Publication object
+   * @param {string} view 'source' for the verbatim .bib text, 'clean' for normalized output
+   * @returns {string} BibTeX text
+   */
+  function getBibtexText(publication, view) {
+    if (view === 'source' && publication.source) {
+      return publication.source.trim();
+    }
+    return BibtexParser.toBibtex(publication);
+  }
+  
+  /**
+   * Get citation text in any supported format
+   * @param {Object} publication Publication object
+   * @param {string} format Format id from CitationFormatter.FORMATS
+   * @param {string} view BibTeX view, only used for the 'bibtex' format
+   * @returns {string} Citation text
+   */
+  function getCitationText(publication, format, view) {
+    if (format === 'bibtex') {
+      return getBibtexText(publication, view);
+    }
+    return CitationFormatter.format(publication, format);
   }
   
   /**
@@ -484,34 +560,7 @@ document.addEventListener('DOMContentLoaded', function() {
    * @param {HTMLElement} publicationElement The publication item element
    */
   function showBibtex(publication, publicationElement, triggerElement = null) {
-    const bibtexFields = [
-      `    title={${publication.title || ''}}`,
-      `    author={${publication.author || ''}}`
-    ];
-
-    if (publication.journal) {
-      bibtexFields.push(`    journal={${publication.journal}},`);
-    }
-    if (publication.booktitle) {
-      bibtexFields.push(`    booktitle={${publication.booktitle}},`);
-    }
-    if (publication.volume) {
-      bibtexFields.push(`    volume={${publication.volume}},`);
-    }
-    if (publication.number) {
-      bibtexFields.push(`    number={${publication.number}},`);
-    }
-    if (publication.pages) {
-      bibtexFields.push(`    pages={${publication.pages}},`);
-    }
-    if (publication.year) {
-      bibtexFields.push(`    year={${publication.year}},`);
-    }
-    if (publication.publisher) {
-      bibtexFields.push(`    publisher={${publication.publisher}}`);
-    }
-
-    const bibtexText = [`@${publication.type}{${publication.citeKey},`, ...bibtexFields, '}'].join('\n');
+    const bibtexText = getBibtexText(publication, getDefaultCiteView());
     
     // Find existing citation container
     let citationContainer = publicationElement.querySelector('.citation-container');
@@ -553,7 +602,10 @@ document.addEventListener('DOMContentLoaded', function() {
     const container = document.createElement('div');
     container.className = 'citation-container';
     
-    container.innerHTML = `
+    const formatOptions = Object.entries(CitationFormatter.FORMATS)
+      .map(([id, format]) => html`<option value="${id}">${format.label}</option>`);
+    
+    HtmlTemplate.render(container, html`
       <div class="citation-header">
         <h4 class="citation-title">Citation: ${publication.title || 'Untitled'}</h4>
         <button class="citation-toggle" aria-label="Toggle citation">▼</button>
@@ -561,28 +613,43 @@ document.addEventListener('DOMContentLoaded', function() {
       <div class="citation-content">
         <div class="citation-text">${bibtexText}</div>
         <div class="citation-actions">
+          <select class="citation-format-select" aria-label="Citation format">
+            ${formatOptions}
+          </select>
+          <div class="citation-view-toggle" role="group" aria-label="BibTeX view">
+            <button class="citation-btn citation-view-btn" data-view="clean">Clean</button>
+            <button class="citation-btn citation-view-btn" data-view="source">Source</button>
+          </div>
           <button class="citation-btn citation-btn-primary citation-copy-btn">
             <i class="fas fa-copy"></i> Copy
           </button>
+          <button class="citation-btn citation-btn-secondary citation-download-btn">
+            <i class="fas fa-download"></i> Download
+          </button>
           <button class="citation-btn citation-btn-secondary citation-collapse-btn">
             <i class="fas fa-chevron-up"></i> Collapse
           </button>
           <span class="citation-success"></span>
         </div>
       </div>
-    `;
+    `);
     
     // Setup toggle functionality
     const toggleBtn = container.querySelector('.citation-toggle');
     const collapseBtn = container.querySelector('.citation-collapse-btn');
     const header = container.querySelector('.citation-header');
     
+    // Currently displayed text, switched by the format select and Clean/Source buttons
+    let currentText = bibtexText;
+    let currentFormat = 'bibtex';
+    let currentView = getDefaultCiteView();
+    
     const toggleFunction = function() {
       const isExpanded = container.classList.contains('expanded');
       if (isExpanded) {
         collapseCitation(container);
       } else {
-        expandCitation(container, publication, bibtexText);
+        expandCitation(container, publication, currentText);
       }
     };
     
@@ -598,12 +665,45 @@ document.addEventListener('DOMContentLoaded', function() {
       collapseCitation(container);
     };
     
+    // Setup format select and Clean/Source view switching
+    const formatSelect = container.querySelector('.citation-format-select');
+    const viewToggle = container.querySelector('.citation-view-toggle');
+    const viewButtons = container.querySelectorAll('.citation-view-btn');
+    const updateText = function() {
+      currentText = getCitationText(publication, currentFormat, currentView);
+      container.querySelector('.citation-text').textContent = currentText;
+      viewToggle.style.display = currentFormat === 'bibtex' ? '' : 'none';
+      viewButtons.forEach(btn => {
+        const isActive = btn.getAttribute('data-view') === currentView;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      });
+    };
+    formatSelect.onchange = function() {
+      currentFormat = this.value;
+      updateText();
+    };
+    viewButtons.forEach(btn => {
+      btn.onclick = function() {
+        currentView = this.getAttribute('data-view');
+        updateText();
+      };
+    });
+    updateText();
+    
+    // Setup download functionality
+    const downloadBtn = container.querySelector('.citation-download-btn');
+    downloadBtn.onclick = function() {
+      const format = CitationFormatter.FORMATS[currentFormat];
+      CitationFormatter.download(`${publication.citeKey}.${format.extension}`, currentText, format.mimeType);
+    };
+    
     // Setup copy functionality
     const copyBtn = container.querySelector('.citation-copy-btn');
     const successElement = container.querySelector('.citation-success');
     
     copyBtn.onclick = function() {
-      navigator.clipboard.writeText(bibtexText).then(() => {
+      navigator.clipboard.writeText(currentText).then(() => {
         successElement.textContent = 'Copied!';
         successElement.classList.add('show');
         setTimeout(() => {
@@ -697,62 +797,326 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Re-render
         renderPublications(currentPublications, currentFilter);
+        updateUrlState();
+      });
+    });
+  }
+  
+  /**
+   * Handle search input (debounced)
+   */
+  if (searchInput) {
+    let searchTimer = null;
+    searchInput.addEventListener('input', function() {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        currentQuery = searchInput.value.trim();
+        renderPublications(currentPublications, currentFilter);
+        updateUrlState(true);
+      }, 150);
+    });
+  }
+  
+  /**
+   * Serialize filter, search and facet state into the URL query
+   * @param {boolean} replace Replace the current history entry instead of adding one
+   */
+  function updateUrlState(replace = false) {
+    if (!publicationsContainer || !document.body.classList.contains('publications-page')) return;
+    
+    const params = new URLSearchParams();
+    if (debugMode) params.set('debug', '1');
+    if (currentFilter !== 'all') params.set('type', currentFilter);
+    if (currentQuery) params.set('q', currentQuery);
+    if (currentView !== 'list') params.set('view', currentView);
+    if (currentAuthor) params.set('author', currentAuthor);
+    if (currentSort !== 'date') params.set('sort', currentSort);
+    if (currentGroup !== 'year') params.set('group', currentGroup);
+    if (facets) facets.writeParams(params);
+    
+    const query = params.toString();
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) return;
+    
+    // A changed list no longer refers to the #citeKey target, so drop the hash
+    const url = `${window.location.pathname}${search}`;
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  }
+  
+  /**
+   * Restore filter, search and facet state from the URL query
+   */
+  function readUrlState() {
+    if (!document.body.classList.contains('publications-page')) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    
+    const type = params.get('type');
+    const validTypes = Array.from(filterButtons).map(btn => btn.getAttribute('data-filter'));
+    currentFilter = validTypes.includes(type) ? type : 'all';
+    filterButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-filter') === currentFilter);
+    });
+    
+    currentQuery = (params.get('q') || '').trim();
+    if (searchInput) {
+      searchInput.value = currentQuery;
+    }
+    
+    currentView = params.get('view') === 'collaborators' ? 'collaborators' : 'list';
+    currentAuthor = (params.get('author') || '').trim();
+    
+    const sort = params.get('sort');
+    currentSort = Object.keys(PublicationSort.SORT_MODES).includes(sort) ? sort : 'date';
+    const group = params.get('group');
+    currentGroup = Object.keys(groupModes).includes(group) ? group : 'year';
+    if (sortSelect && groupSelect) {
+      sortSelect.value = currentSort;
+      groupSelect.value = currentGroup;
+    }
+    ensureGithubStars();
+    
+    if (facets) {
+      facets.readParams(params);
+      const facetsDetails = document.getElementById('publication-facets');
+      if (facetsDetails && facets.isActive()) {
+        facetsDetails.open = true;
+      }
+    }
+  }
+  
+  /**
+   * Scroll to and highlight the publication named by the URL hash
+   */
+  function revealHashTarget() {
+    const hashKey = decodeURIComponent(window.location.hash.slice(1));
+    if (!hashKey) return;
+    
+    // Links to a merged preprint lead to its published version
+    const key = preprintAliases.get(hashKey) || hashKey;
+    const target = document.getElementById(key);
+    if (!target || !target.classList.contains('publication-item')) return;
+    
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.remove('publication-targeted');
+    // Force a reflow so the highlight animation restarts on repeated visits
+    target.offsetWidth;
+    target.classList.add('publication-targeted');
+  }
+  
+  // Restore state on back/forward navigation and reveal #citeKey links
+  window.addEventListener('popstate', function() {
+    if (!currentPublications.length) return;
+    readUrlState();
+    pendingHashTarget = Boolean(window.location.hash);
+    renderPublications(currentPublications, currentFilter);
+  });
+  
+  window.addEventListener('hashchange', revealHashTarget);
+  
+  // Follow on-site links (author profiles, collaborators index) without reloading
+  document.addEventListener('click', function(event) {
+    const link = event.target.closest('a[data-nav]');
+    if (!link || !document.body.classList.contains('publications-page') || !currentPublications.length) return;
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    
+    event.preventDefault();
+    navigateTo(link.href);
+  });
+  
+  /**
+   * Show another on-site URL state without reloading the page
+   * @param {string} url URL to navigate to
+   */
+  function navigateTo(url) {
+    history.pushState(null, '', url);
+    readUrlState();
+    renderPublications(currentPublications, currentFilter);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }
+  
+  /**
+   * Draw the collaboration network; clicking an author lists the joint papers
+   */
+  function renderCoauthorGraph() {
+    if (!graphPanel || !graphContainer || !graphPanel.open || !currentPublications.length) return;
+    
+    if (!coauthorGraph) {
+      const highlightAuthor = publicationConfig?.display?.highlight_author || 'Chaofeng Chen';
+      coauthorGraph = new CoauthorGraph(graphContainer, {
+        highlightAuthor,
+        onSelect: name => {
+          const isOwner = BibtexParser.nameKey(name) === BibtexParser.nameKey(highlightAuthor);
+          navigateTo(isOwner ? 'publications.html' : PublicationAuthors.getProfileUrl(name));
+        }
       });
+    }
+    coauthorGraph.setData(currentPublications, coauthorsData);
+  }
+  
+  if (graphPanel) {
+    graphPanel.addEventListener('toggle', function() {
+      if (this.open && !coauthorGraph) {
+        renderCoauthorGraph();
+      }
     });
   }
   
   /**
    * Process BIB content
    * @param {string} content BIB file content
+   * @param {boolean} isSiteData Whether it is data/publications.bib, whose papers have landing pages
    */
-  function processBibContent(content) {
+  function processBibContent(content, isSiteData = false) {
     try {
       // Parse BIB content
       currentPublications = parser.parse(content);
-      
+
+      // Report syntax problems with their source position
+      parser.getErrors().forEach(err => {
+        console.warn(`publications.bib ${err.line}:${err.column} ${err.message}`);
+      });
+
       // Sort by year
       currentPublications = parser.sortByYear();
       
+      // Per-paper metadata may also come from x- fields in the .bib (the config takes precedence)
+      publicationConfig = PublicationMetadata.merge(currentPublications, loadedPublicationConfig);
+      
+      // List each paper once: arXiv preprints are folded into their published version
+      const versions = PublicationVersions.link(currentPublications, publicationConfig);
+      currentPublications = versions.entries;
+      publicationConfig = versions.publicationConfig;
+      preprintAliases = versions.aliases;
+      renderer = new PublicationRenderer({ publicationConfig, coauthorsData, paperPages: isSiteData ? paperPages : new Set() });
+      
+      // Build search index
+      if (searchInput) {
+        searchIndex = new PublicationSearch(currentPublications, publicationConfig);
+      }
+      
+      // Setup facets
+      if (facetsPanel) {
+        if (!facets) {
+          facets = new PublicationFacets(facetsPanel, {
+            onChange: () => {
+              renderPublications(currentPublications, currentFilter);
+              updateUrlState();
+            }
+          });
+        }
+        facets.setEntries(currentPublications, publicationConfig);
+      }
+      
+      // Collaborator records for author profiles
+      if (authorProfile) {
+        authorIndex = new PublicationAuthors({ publicationConfig, coauthorsData });
+        authorIndex.build(currentPublications);
+      }
+      
+      // Redraw the network if it is already open (e.g. after a .bib upload)
+      if (coauthorGraph) {
+        renderCoauthorGraph();
+      }
+      
+      // The full list is described whatever the filters show (index.html describes its selection)
+      if (document.getElementById('publications-container')) {
+        injectStructuredData(currentPublications);
+      }
+      
+      // "By topic" is only offered when a paper has topics
+      renderGroupOptions();
+      
+      // Restore shared/bookmarked state from the URL
+      readUrlState();
+      
       // Render publications list
       renderPublications(currentPublications, currentFilter);
       
       // Save to localStorage
       localStorage.setItem('bibData', content);
       
-      // Show success message
-      console.log(`Successfully parsed ${currentPublications.length} publications`);
+      if (debugMode && window.PublicationValidator) {
+        showValidationReport();
+      }
     } catch (error) {
       console.error('Error parsing BIB file:', error);
       console.error('Error parsing BIB file: ' + error.message);
     }
   }
   
+  /**
+   * Validate the loaded data and show the report in a dismissible overlay
+   */
+  async function showValidationReport() {
+    const report = await PublicationValidator.validate({
+      entries: parser.entries,
+      parserErrors: parser.getErrors(),
+      publicationConfig: loadedPublicationConfig,
+      coauthorsData,
+      venueRegistry: VenueRegistry.active,
+      fileExists: async path => {
+        try {
+          const response = await fetch(path, { method: 'HEAD' });
+          return response.ok;
+        } catch (error) {
+          return false;
+        }
+      }
+    });
+    
+    document.querySelector('.debug-overlay')?.remove();
+    const overlay = document.createElement('aside');
+    overlay.className = 'debug-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Data validation report');
+    
+    const status = report.counts.error ? 'has-errors' : report.counts.warning ? 'has-warnings' : 'is-clean';
+    HtmlTemplate.render(overlay, html`
+      <div class="debug-overlay-header ${status}">
+        <strong>Data validation</strong>
+        <span>${report.entries} bib entries · ${report.counts.error} errors · ${report.counts.warning} warnings</span>
+        <button class="debug-overlay-close" aria-label="Dismiss validation report">&times;</button>
+      </div>
+      <ul class="debug-overlay-issues">
+        ${report.issues.map(issue => html`
+          <li class="debug-issue-${issue.level}">
+            <span class="debug-issue-code">${issue.code}</span>
+            ${issue.line ? html`<span class="debug-issue-line">line ${issue.line}</span>` : ''}
+            ${issue.message}
+          </li>`)}
+        ${report.issues.length === 0 ? html`<li>No problems found.</li>` : ''}
+      </ul>
+    `);
+    overlay.querySelector('.debug-overlay-close').addEventListener('click', () => overlay.remove());
+    document.body.appendChild(overlay);
+  }
+  
   /**
    * Initialize the publications page
    */
   async function init() {
-    // Show loading state with stable layout
-    if (publicationsContainer) {
+    // Show loading state with stable layout (prerendered lists stay visible meanwhile)
+    if (publicationsContainer && !publicationsContainer.hasAttribute('data-prerendered')) {
       publicationsContainer.classList.add('publications-loading');
       publicationsContainer.innerHTML = '<div class="loading">Loading publications...</div>';
     }
     
-    // Load coauthors and publication config data
-    await loadCoauthorsData();
-    await loadPublicationConfig();
+    // Load coauthors, publication config, venue data and the paper page list (requested in parallel)
+    await Promise.all([loadCoauthorsData(), loadPublicationConfig(), loadVenueRegistry(), loadPaperPages()]);
     
     // Try to load from localStorage
     const savedBibData = localStorage.getItem('bibData');
     
     // First try to load the external BIB file
     try {
-      const response = await fetch('data/publications.bib');
-      if (!response.ok) {
-        throw new Error('Failed to load publications.bib file');
-      }
-      const bibContent = await response.text();
+      const bibContent = await DataLoader.text('data/publications.bib');
       // Process the external BIB file
-      processBibContent(bibContent);
+      processBibContent(bibContent, true);
     } catch (error) {
       console.error('Error loading publications.bib:', error);
       // Fallback to saved data or default data
@@ -763,9 +1127,10 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Add event delegation for cite links in publications page
   document.addEventListener('click', function(e) {
-    if (e.target.classList.contains('cite-link')) {
+    const citeLink = e.target.closest('.cite-link');
+    if (citeLink) {
       e.preventDefault();
-      const key = e.target.getAttribute('data-key');
+      const key = citeLink.getAttribute('data-key');
       
       // Find publication by key or id
       const publication = currentPublications.find(pub => {
@@ -783,12 +1148,14 @@ document.addEventListener('DOMContentLoaded', function() {
           collapseCitation(existingCitation);
         } else {
           // Otherwise, show the citation
-          showBibtex(publication, pubElement, e.target);
+          showBibtex(publication, pubElement, citeLink);
         }
       }
     }
   });
 
   // Initialize
+  initExportControls();
+  initSortControls();
   init();
 });
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * Structured Data
+ * Schema.org JSON-LD for search engines, built from the data files:
+ *
+ * - Person for the site owner and ResearchOrganization for the lab (data/site.json)
+ * - Person with memberOf for each lab member, alumniOf for alumni (data/members.json)
+ * - ScholarlyArticle for each paper (data/publications.bib)
+ * - NewsArticle, or Event for talks and items with "type": "event" (data/news.json)
+ *
+ * The graphs are written into <head> as <script type="application/ld+json">
+ * by the page scripts (inject) and by scripts/prerender.js; the same data
+ * gives the same text, so prerendered scripts are left alone.
+ */
+class StructuredData {
+  /**
+   * Role names of the lists of current members in members.json
+   */
+  static get MEMBER_ROLES() {
+    return {
+      phd_students: 'PhD Student',
+      master_students: 'Master Student',
+      undergraduate_students: 'Undergraduate Student'
+    };
+  }
+
+  /**
+   * Load data/site.json (shared with the other loads of the page)
+   * @returns {Promise<Object>} Site data
+   */
+  static load() {
+    return DataLoader.json('data/site.json');
+  }
+
+  /**
+   * Absolute URL of a site-relative path or external link
+   * @param {string} url URL
+   * @param {Object} site Site data
+   * @returns {string|undefined} Absolute URL
+   */
+  static absolute(url, site) {
+    return url ? new URL(url, site.url).href : undefined;
+  }
+
+  /**
+   * Date in ISO 8601 form ("2024", "2024-07", "2024-07-15"), or undefined for free text
+   * @param {*} value Date text
+   * @returns {string|undefined} Date
+   */
+  static isoDate(value) {
+    const text = String(value ?? '').trim();
+    return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(text) ? text : undefined;
+  }
+
+  /**
+   * Plain text of a markup snippet
+   * @param {string} markup Markup
+   * @returns {string} Text
+   */
+  static toText(markup) {
+    return String(markup ?? '')
+      .replace(/<br\s*\/?>|<\/(?:p|div|li)>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Node ids, so the graphs of different scripts point at the same things
+   * @param {Object} site Site data
+   * @returns {{person: string, lab: string}} Ids
+   */
+  static getIds(site) {
+    return {
+      person: `${site.url}#person`,
+      lab: `${StructuredData.absolute(site.lab?.page || '', site)}#lab`
+    };
+  }
+
+  /**
+   * The site owner
+   * @param {Object} site Site data
+   * @returns {Object} Person
+   */
+  static person(site) {
+    const person = site.person || {};
+    return {
+      '@type': 'Person',
+      '@id': StructuredData.getIds(site).person,
+      name: person.name,
+      alternateName: person.alternate_name,
+      jobTitle: person.job_title,
+      affiliation: person.affiliation ? { '@type': 'Organization', name: person.affiliation } : undefined,
+      image: StructuredData.absolute(person.image, site),
+      email: person.email ? `mailto:${person.email}` : undefined,
+      url: site.url,
+      knowsAbout: person.knows_about,
+      sameAs: person.same_as
+    };
+  }
+
+  /**
+   * The lab
+   * @param {Object} site Site data
+   * @returns {Object} ResearchOrganization
+   */
+  static lab(site) {
+    const lab = site.lab || {};
+    const ids = StructuredData.getIds(site);
+    return {
+      '@type': 'ResearchOrganization',
+      '@id': ids.lab,
+      name: lab.name,
+      description: lab.description,
+      url: StructuredData.absolute(lab.page, site),
+      logo: StructuredData.absolute(lab.logo, site),
+      founder: { '@id': ids.person },
+      sameAs: lab.same_as
+    };
+  }
+
+  /**
+   * Lab members, each a member of the lab in their role, and alumni of the lab
+   * @param {Object} data Contents of members.json
+   * @param {Object} site Site data
+   * @returns {Array<Object>} Persons
+   */
+  static members(data, site) {
+    const labId = StructuredData.getIds(site).lab;
+    const lists = [...Object.keys(StructuredData.MEMBER_ROLES), 'alumni'];
+    return lists.flatMap(list => (data[list] || []).map(member => {
+      const links = member.links || {};
+      const roleName = StructuredData.MEMBER_ROLES[list];
+      // members.json has both "mailto:" links and bare addresses
+      const email = (links.email || member.email || '').replace(/^mailto:/i, '');
+      return {
+        '@type': 'Person',
+        name: member.name,
+        jobTitle: member.title,
+        description: member.bio || member.current_position,
+        image: StructuredData.absolute(member.image, site),
+        url: links.homepage,
+        email: email ? `mailto:${email}` : undefined,
+        sameAs: Object.entries(links)
+          .filter(([platform]) => platform !== 'email' && platform !== 'homepage')
+          .map(([, url]) => url),
+        memberOf: roleName ? { '@type': 'OrganizationRole', roleName, memberOf: { '@id': labId } } : undefined,
+        alumniOf: roleName ? undefined : { '@id': labId }
+      };
+    }));
+  }
+
+  /**
+   * A paper
+   * @param {Object} pub Parsed entry
+   * @param {Object} publicationConfig Publication config
+   * @param {Object} site Site data
+   * @returns {Object} ScholarlyArticle
+   */
+  static article(pub, publicationConfig, site) {
+    const pubConfig = publicationConfig?.publications?.[pub.citeKey] || {};
+    const links = PublicationRenderer.getLinks(pub, pubConfig);
+    const ownerKey = BibtexParser.nameKey(site.person?.name || '');
+    const month = CitationFormatter.getMonth(pub);
+    const kind = CitationFormatter.getKind(pub);
+    const container = CitationFormatter.getContainer(pub);
+    const url = StructuredData.absolute(PublicationRenderer.getPaperUrl(pub), site);
+
+    return {
+      '@type': 'ScholarlyArticle',
+      '@id': url,
+      headline: pub.title,
+      name: pub.title,
+      author: CitationFormatter.getAuthors(pub).names.map(name => (BibtexParser.nameKey(name) === ownerKey
+        ? { '@id': StructuredData.getIds(site).person }
+        : { '@type': 'Person', name: BibtexParser.formatName(name) })),
+      datePublished: pub.year ? (month ? `${pub.year}-${String(month).padStart(2, '0')}` : String(pub.year)) : undefined,
+      isPartOf: container && (kind === 'journal' || kind === 'conference')
+        ? { '@type': kind === 'journal' ? 'Periodical' : 'Book', name: container }
+        : undefined,
+      abstract: pub.abstract,
+      image: StructuredData.absolute(pubConfig.image, site),
+      keywords: (pubConfig.topics || []).concat(pubConfig.keywords || []).join(', ') || undefined,
+      url,
+      sameAs: [links.doi, links.pdf, links.preprint].filter(Boolean),
+      identifier: pub.doi ? { '@type': 'PropertyValue', propertyID: 'DOI', value: pub.doi } : undefined
+    };
+  }
+
+  /**
+   * A news item
+   * @param {Object} item Item of news.json
+   * @param {Object} site Site data
+   * @returns {Object} NewsArticle or Event
+   */
+  static newsItem(item, site) {
+    const text = StructuredData.toText(item.content_html || item.content);
+    const date = StructuredData.isoDate(item.date);
+    if (item.type === 'event' || item.category === 'talk') {
+      return {
+        '@type': 'Event',
+        name: text,
+        startDate: date,
+        endDate: StructuredData.isoDate(item.end_date),
+        location: item.location ? { '@type': 'Place', name: item.location } : undefined,
+        organizer: { '@id': StructuredData.getIds(site).person }
+      };
+    }
+    return {
+      '@type': 'NewsArticle',
+      // Google shows at most 110 characters of a headline
+      headline: text.length > 110 ? `${text.slice(0, 109)}…` : text,
+      articleBody: text,
+      datePublished: date,
+      author: { '@id': StructuredData.getIds(site).person },
+      articleSection: item.category ? item.category.charAt(0).toUpperCase() + item.category.slice(1) : undefined,
+      url: site.url,
+      about: (item.papers || []).map(citeKey => ({ '@id': StructuredData.absolute(`papers/${encodeURIComponent(citeKey)}.html`, site) }))
+    };
+  }
+
+  /**
+   * JSON-LD document of several nodes
+   * @param {Array<Object>} nodes Nodes
+   * @returns {Object} Document
+   */
+  static graph(nodes) {
+    return { '@context': 'https://schema.org', '@graph': nodes };
+  }
+
+  /**
+   * Script text of a document; empty fields are dropped and "<" is escaped
+   * so the JSON cannot close the script element
+   * @param {Object} data Document
+   * @returns {string} JSON
+   */
+  static serialize(data) {
+    const withoutEmpty = (key, value) => (Array.isArray(value) && value.length === 0 ? undefined : value);
+    return JSON.stringify(data, withoutEmpty, 2).replace(/</g, '\\u003c');
+  }
+
+  /**
+   * Markup of a JSON-LD script element
+   * @param {string} id Element id
+   * @param {Object} data Document
+   * @returns {string} Markup
+   */
+  static toScript(id, data) {
+    return `<script type="application/ld+json" id="${id}">\n${StructuredData.serialize(data)}\n</script>`;
+  }
+
+  /**
+   * Add or update a JSON-LD script in <head>
+   * @param {string} id Element id, e.g. "ld-publications"
+   * @param {Object} data Document
+   */
+  static inject(id, data) {
+    let script = document.getElementById(id);
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = id;
+      document.head.appendChild(script);
+    }
+    const text = `\n${StructuredData.serialize(data)}\n`;
+    if (script.textContent !== text) {
+      script.textContent = text;
+    }
+  }
+}
+
+// Export structured data (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.StructuredData = StructuredData;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredData;
+}
+
+// Every page that loads this script describes the site owner and the lab
+if (typeof document !== 'undefined') {
+  StructuredData.load()
+    .then(site => StructuredData.inject('ld-person', StructuredData.graph([StructuredData.person(site), StructuredData.lab(site)])))
+    .catch(error => console.error('Failed to add structured data:', error));
+}
@@ -0,0 +1,123 @@
+/**
+ * Venue Registry
+ * Resolves the journal/booktitle of parsed BibtexParser entries against
+ * data/venues.json (canonical name, abbreviation, aliases, type, tier, CCF rank)
+ */
+class VenueRegistry {
+  /**
+   * @param {Object} data Contents of venues.json
+   */
+  constructor(data = {}) {
+    this.venues = Array.isArray(data.venues) ? data.venues : [];
+    this.index = new Map();
+    this.venues.forEach(venue => {
+      [venue.id, venue.abbr, venue.name, ...(venue.aliases || [])].forEach(text => {
+        const key = VenueRegistry.normalize(text);
+        if (key && !this.index.has(key)) this.index.set(key, venue);
+      });
+    });
+  }
+
+  /**
+   * Normalize venue text for lookup: case, accents, punctuation, years,
+   * ordinals and "Proceedings of the" prefixes are ignored
+   * @param {string} text Venue text
+   * @returns {string} Lookup key
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/\b(19|20)\d{2}\b/g, ' ')
+      .replace(/\b\d+(st|nd|rd|th)\b/g, ' ')
+      .replace(/^\s*(in\s+)?proceedings\s+of\s+(the\s+)?/, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Find a registered venue by any of its names
+   * @param {string} text Venue text, e.g. "European Conference on Computer Vision (ECCV)"
+   * @returns {Object|null} Registry venue
+   */
+  lookup(text) {
+    if (!text) return null;
+
+    const acronym = text.match(/\(([^)]+)\)/);
+    const candidates = [
+      acronym ? acronym[1] : null,
+      text.replace(/\([^)]*\)/g, ''),
+      text
+    ];
+    for (const candidate of candidates) {
+      const venue = this.index.get(VenueRegistry.normalize(candidate));
+      if (venue) return venue;
+    }
+
+    return /\barxiv\b/i.test(text) ? this.index.get('arxiv') || null : null;
+  }
+
+  /**
+   * Resolve the venue of an entry; unknown venues fall back to the bib text
+   * @param {Object} entry Parsed entry
+   * @param {Object} pubConfig Per-publication config (a "venue" override is resolved first)
+   * @returns {Object} Venue with name, abbr, type, tier, ccf and known
+   */
+  resolve(entry, pubConfig = {}) {
+    const text = pubConfig.venue || entry.journal || entry.booktitle || '';
+    const isPreprint = entry.type === 'misc' || entry.type === 'unpublished' ||
+      String(entry.archiveprefix || '').toLowerCase() === 'arxiv';
+
+    const venue = this.lookup(text) || (!text && isPreprint ? this.lookup('arXiv') : null);
+    if (venue) {
+      return { ...venue, known: true };
+    }
+
+    const acronym = text.match(/\(([^)]+)\)/);
+    const fallbackName = text.replace(/\s*\([^)]*\)/g, '').trim() || (isPreprint ? 'arXiv' : entry.publisher || 'Other');
+    return {
+      id: null,
+      name: fallbackName,
+      abbr: acronym ? acronym[1].trim() : fallbackName,
+      type: isPreprint ? 'preprint' : entry.type === 'article' ? 'journal' : 'conference',
+      tier: null,
+      known: false
+    };
+  }
+
+  /**
+   * Short venue label of an entry, e.g. "CVPR", "TPAMI" or "arXiv", shared by
+   * the facets, sorting, grouping and statistics. Before data/venues.json is
+   * loaded it comes from the bib text alone.
+   * @param {Object} entry Parsed entry
+   * @param {Object} pubConfig Per-publication config
+   * @returns {string} Venue abbreviation
+   */
+  static getAbbr(entry, pubConfig = {}) {
+    return (VenueRegistry.active || VenueRegistry.EMPTY).resolve(entry, pubConfig).abbr;
+  }
+
+  /**
+   * Short display label, e.g. "ECCV 2024"
+   * @param {Object} venue Resolved venue
+   * @param {string} year Year
+   * @returns {string} Label
+   */
+  static getLabel(venue, year) {
+    return [venue.abbr, year].filter(Boolean).join(' ');
+  }
+}
+
+// Registry used by the page once data/venues.json is loaded, and the
+// registry without venues used until then
+VenueRegistry.active = null;
+VenueRegistry.EMPTY = new VenueRegistry();
+
+// Export registry (browser global, or CommonJS for Node scripts)
+if (typeof window !== 'undefined') {
+  window.VenueRegistry = VenueRegistry;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VenueRegistry;
+}
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Write the site's feeds: feeds/atom.xml, feeds/rss.xml and feeds/feed.json
+ * (see FeedFormatter), with the news items of data/news.json and newly added
+ * papers of data/publications.bib.
+ *
+ * A paper's date in the feeds is the day this script first saw it, kept in
+ * data/publication-dates.json. When that file does not exist yet, papers get
+ * their publication year instead, so the first run does not announce every
+ * paper as new. Run it after changing data/, like scripts/prerender.js.
+ *
+ * Usage:
+ *   node scripts/build-feeds.js           # write the feeds
+ *   node scripts/build-feeds.js --check   # exit 1 if the feeds are out of date
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const datesPath = path.join(root, 'data/publication-dates.json');
+
+// Feed files by format, relative to the site root
+const FEEDS = {
+  atom: 'feeds/atom.xml',
+  rss: 'feeds/rss.xml',
+  json: 'feeds/feed.json'
+};
+
+// The site modules are browser scripts that reference each other as globals
+global.HtmlTemplate = require('../js/html-template.js');
+global.BibtexParser = require('../js/bibtex-parser.js');
+global.PublicationMetadata = require('../js/publication-metadata.js');
+global.PublicationVersions = require('../js/publication-versions.js');
+global.CitationFormatter = require('../js/citation-formatter.js');
+global.PublicationRenderer = require('../js/publication-renderer.js');
+global.StructuredData = require('../js/structured-data.js');
+const FeedFormatter = require('../js/feed-formatter.js');
+
+/**
+ * Read and parse a JSON data file
+ * @param {string} file Path relative to the site root
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+/**
+ * Parse the publications the way publications.js does
+ * @returns {Object} {entries, publicationConfig}
+ */
+function loadPublications() {
+  const parser = new BibtexParser();
+  parser.parse(fs.readFileSync(path.join(root, 'data/publications.bib'), 'utf8'));
+  const sorted = parser.sortByYear();
+  const merged = PublicationMetadata.merge(sorted, readJson('data/publication-config.json'));
+  return PublicationVersions.link(sorted, merged);
+}
+
+/**
+ * Dates the papers were added, recording today for papers seen for the first time
+ * @param {Array} entries Parsed entries
+ * @returns {Object<string, string>} citeKey -> ISO date, in .bib order
+ */
+function getAddedDates(entries) {
+  const known = fs.existsSync(datesPath) ? JSON.parse(fs.readFileSync(datesPath, 'utf8')) : null;
+  const today = new Date().toISOString().slice(0, 10);
+  return Object.fromEntries(entries
+    .filter(pub => pub.citeKey)
+    .map(pub => [pub.citeKey, known ? known[pub.citeKey] || today : String(pub.year || today)]));
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const site = readJson('data/site.json');
+  const news = readJson('data/news.json').news || [];
+  const { entries, publicationConfig } = loadPublications();
+  const added = getAddedDates(entries);
+
+  const undated = news.filter(item => !FeedFormatter.parseDate(item.date));
+  if (undated.length > 0) {
+    console.warn(`Left out ${undated.length} news item(s) without an ISO date: ${undated.map(item => JSON.stringify(item.date ?? '')).join(', ')}`);
+  }
+
+  const items = FeedFormatter.sortItems([
+    ...news.map(item => FeedFormatter.newsItem(item, site)),
+    ...entries.map(pub => FeedFormatter.publicationItem(pub, publicationConfig, site, added[pub.citeKey]))
+  ]);
+  const feed = FeedFormatter.createFeed(site, items, FEEDS);
+
+  const files = {
+    [FEEDS.atom]: FeedFormatter.toAtom(feed),
+    [FEEDS.rss]: FeedFormatter.toRss(feed),
+    [FEEDS.json]: FeedFormatter.toJsonFeed(feed),
+    'data/publication-dates.json': `${JSON.stringify(added, null, 2)}\n`
+  };
+  const outdated = Object.keys(files).filter(file => !fs.existsSync(path.join(root, file)) ||
+    fs.readFileSync(path.join(root, file), 'utf8') !== files[file]);
+
+  if (check) {
+    if (outdated.length > 0) {
+      console.error(`Out of date: ${outdated.join(', ')}; run node scripts/build-feeds.js`);
+      process.exitCode = 1;
+    } else {
+      console.log('Feeds are up to date');
+    }
+    return;
+  }
+
+  outdated.forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), files[file]);
+  });
+  console.log(`Wrote ${items.length} feed items${outdated.length > 0 ? ` (updated ${outdated.join(', ')})` : ''}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error building feeds:', error);
+  process.exitCode = 1;
+}
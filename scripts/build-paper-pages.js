@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Write a landing page for every paper in data/publications.bib to
+ * papers/<citeKey>.html: title, authors, venue, teaser image, artifact links,
+ * abstract (the bib "abstract" field) and BibTeX, plus the Highwire Press
+ * citation_* meta tags Google Scholar indexes and the paper's schema.org
+ * ScholarlyArticle (see StructuredData). The citeKeys of the pages are listed
+ * in data/paper-pages.json, and only those titles link to a page on the site
+ * (uploaded .bib entries have none). Absolute URLs are built from
+ * data/site.json. Run it after changing data/, before scripts/prerender.js.
+ *
+ * Usage:
+ *   node scripts/build-paper-pages.js           # write papers/
+ *   node scripts/build-paper-pages.js --check   # exit 1 if papers/ is out of date
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const outputDir = path.join(root, 'papers');
+const listPath = path.join(root, 'data/paper-pages.json');
+
+// The site modules are browser scripts that reference each other as globals
+global.HtmlTemplate = require('../js/html-template.js');
+global.BibtexParser = require('../js/bibtex-parser.js');
+global.PublicationMetadata = require('../js/publication-metadata.js');
+global.VenueRegistry = require('../js/venue-registry.js');
+global.PublicationVersions = require('../js/publication-versions.js');
+global.PublicationAuthors = require('../js/publication-authors.js');
+global.CitationFormatter = require('../js/citation-formatter.js');
+global.PublicationRenderer = require('../js/publication-renderer.js');
+const StructuredData = require('../js/structured-data.js');
+
+const { html } = HtmlTemplate;
+
+/**
+ * Read and parse a JSON data file
+ * @param {string} file Path relative to the site root
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+/**
+ * Parse the publications the way publications.js does
+ * @returns {Object} {entries, publicationConfig, renderer}
+ */
+function loadPublications() {
+  const parser = new BibtexParser();
+  parser.parse(fs.readFileSync(path.join(root, 'data/publications.bib'), 'utf8'));
+  const coauthorsData = readJson('data/coauthor.json');
+  VenueRegistry.active = new VenueRegistry(readJson('data/venues.json'));
+
+  const sorted = parser.sortByYear();
+  const merged = PublicationMetadata.merge(sorted, readJson('data/publication-config.json'));
+  const { entries, publicationConfig } = PublicationVersions.link(sorted, merged);
+  return { entries, publicationConfig, renderer: new PublicationRenderer({ publicationConfig, coauthorsData }) };
+}
+
+/**
+ * Address of the full text, for citation_pdf_url; arXiv abstract pages are
+ * turned into their PDF address, other non-PDF links are left out
+ * @param {string} url PDF link of the paper
+ * @param {string} siteUrl Site address
+ * @returns {string} Absolute PDF URL or empty string
+ */
+function getPdfUrl(url, siteUrl) {
+  if (!url) return '';
+  const absolute = new URL(url, siteUrl).href;
+  const arxiv = absolute.match(/^https?:\/\/arxiv\.org\/(?:abs|pdf)\/([^?#]+?)(?:\.pdf)?(?:[?#].*)?$/i);
+  if (arxiv) return `https://arxiv.org/pdf/${arxiv[1]}`;
+  return /\.pdf(?:[?#].*)?$/i.test(absolute) ? absolute : '';
+}
+
+/**
+ * Highwire Press meta tags read by Google Scholar
+ * @param {Object} pub Parsed entry
+ * @param {Object} links Links from PublicationRenderer.getLinks
+ * @param {string} pageUrl Absolute address of the landing page
+ * @param {string} siteUrl Site address
+ * @returns {Array<[string, string]>} Name/content pairs in Scholar's recommended order
+ */
+function getCitationMeta(pub, links, pageUrl, siteUrl) {
+  const tags = [['citation_title', pub.title]];
+  CitationFormatter.getAuthors(pub).names.forEach(name => {
+    const family = CitationFormatter.familyName(name);
+    tags.push(['citation_author', name.first ? `${family}, ${name.first}` : family]);
+  });
+
+  const month = CitationFormatter.getMonth(pub);
+  if (pub.year) {
+    tags.push(['citation_publication_date', month ? `${pub.year}/${String(month).padStart(2, '0')}` : pub.year]);
+  }
+
+  switch (CitationFormatter.getKind(pub)) {
+    case 'journal':
+      tags.push(['citation_journal_title', pub.journal]);
+      break;
+    case 'conference':
+      tags.push(['citation_conference_title', pub.booktitle]);
+      break;
+    case 'thesis':
+      tags.push(['citation_dissertation_institution', pub.school]);
+      break;
+    case 'report':
+      tags.push(['citation_technical_report_institution', pub.institution]);
+      tags.push(['citation_technical_report_number', pub.number]);
+      break;
+    default:
+      break;
+  }
+
+  const pages = CitationFormatter.getPages(pub);
+  tags.push(
+    ['citation_volume', pub.volume],
+    ['citation_issue', CitationFormatter.getKind(pub) === 'journal' ? pub.number : ''],
+    ['citation_firstpage', pages.first],
+    ['citation_lastpage', pages.last],
+    ['citation_publisher', pub.publisher],
+    ['citation_issn', pub.issn],
+    ['citation_isbn', pub.isbn],
+    ['citation_doi', pub.doi],
+    ['citation_arxiv_id', pub.preprint?.arxivId || CitationFormatter.getArxivId(pub)],
+    ['citation_pdf_url', getPdfUrl(links.pdf, siteUrl)],
+    ['citation_abstract_html_url', pageUrl]
+  );
+  return tags.filter(([, content]) => content);
+}
+
+/**
+ * Markup of a landing page
+ * @param {Object} pub Parsed entry
+ * @param {Object} context {publicationConfig, renderer, site}
+ * @returns {string} HTML document
+ */
+function renderPaperPage(pub, { publicationConfig, renderer, site }) {
+  const pubConfig = publicationConfig.publications?.[pub.citeKey] || {};
+  const links = PublicationRenderer.getLinks(pub, pubConfig);
+  const pageUrl = new URL(PublicationRenderer.getPaperUrl(pub), site.url).href;
+  const description = pub.abstract || `${pub.title}. ${CitationFormatter.getAuthors(pub).names.map(name => BibtexParser.formatName(name)).join(', ')}.`;
+
+  const meta = getCitationMeta(pub, links, pageUrl, site.url)
+    .map(([name, content]) => html`<meta name="${name}" content="${content}">`);
+
+  const linkButtons = [
+    [links.pdf, 'fas fa-file-pdf', 'PDF'],
+    [links.code, 'fab fa-github', 'Code'],
+    [links.project, 'fas fa-link', 'Project'],
+    [links.preprint, 'fas fa-file-alt', 'arXiv'],
+    [links.doi, 'fas fa-external-link-alt', 'DOI']
+  ].filter(([url]) => url)
+    .map(([url, icon, label]) => html`<a href="${url}" target="_blank" rel="noopener"><i class="${icon}" aria-hidden="true"></i> ${label}</a>`);
+
+  // <base> makes the site-relative links of the shared header, footer and renderers work from papers/
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <base href="../">
+    ${html`<title>${pub.title} - ${site.title}</title>
+    <meta name="description" content="${description}">
+    <link rel="canonical" href="${pageUrl}">
+    ${HtmlTemplate.join(meta, '\n    ')}`}
+    ${StructuredData.toScript('ld-publication', StructuredData.graph([StructuredData.article(pub, publicationConfig, site)]))}
+    <link rel="icon" type="image/svg+xml" href="images/site/space.png">
+    <link rel="stylesheet" href="css/main.css">
+    <link rel="stylesheet" href="css/publications.css">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Lato:wght@300;400;700&family=Playfair+Display:wght@400;700&display=swap" rel="stylesheet">
+    <script src="js/html-template.js"></script>
+    <script src="js/navigation.js"></script>
+</head>
+<body class="paper-page">
+
+    <div class="page-content">
+        <div class="wrapper">
+            ${html`<article class="paper" data-key="${pub.citeKey}">
+                <a class="paper-back" href="publications.html#${pub.citeKey}"><i class="fas fa-arrow-left" aria-hidden="true"></i> All publications</a>
+                <h1 class="page-title paper-title">${pub.title}</h1>
+                <div class="publication-authors paper-authors">${renderer.formatAuthors(pub.authors, pubConfig)}</div>
+                <div class="publication-venue paper-venue">${renderer.formatVenue(pub, pubConfig)}</div>
+                ${linkButtons.length > 0 ? html`<div class="paper-links">${HtmlTemplate.join(linkButtons, ' ')}</div>` : ''}
+                ${pubConfig.image ? html`<img class="paper-teaser" src="${pubConfig.image}" alt="${pub.title}">` : ''}
+                ${pub.abstract ? html`<section class="paper-section">
+                    <h2>Abstract</h2>
+                    <p class="paper-abstract">${pub.abstract}</p>
+                </section>` : ''}
+                <section class="paper-section">
+                    <h2>BibTeX</h2>
+                    <pre class="citation-text paper-bibtex">${BibtexParser.toBibtex(pub)}</pre>
+                </section>
+            </article>`}
+        </div>
+    </div>
+
+    <footer class="site-footer" id="site-footer">
+        <!-- Footer content will be generated by footer.js -->
+    </footer>
+
+    <script src="js/footer.js"></script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const { entries, publicationConfig, renderer } = loadPublications();
+  const site = readJson('data/site.json');
+
+  const pages = new Map(entries
+    .filter(pub => pub.citeKey)
+    .map(pub => [`${pub.citeKey}.html`, renderPaperPage(pub, { publicationConfig, renderer, site })]));
+  const existing = fs.existsSync(outputDir) ? fs.readdirSync(outputDir).filter(name => name.endsWith('.html')) : [];
+
+  const changed = [...pages].filter(([name, content]) => !existing.includes(name) ||
+    fs.readFileSync(path.join(outputDir, name), 'utf8') !== content);
+  const stale = existing.filter(name => !pages.has(name));
+  const list = `${JSON.stringify(entries.filter(pub => pub.citeKey).map(pub => pub.citeKey), null, 2)}\n`;
+  const listChanged = !fs.existsSync(listPath) || fs.readFileSync(listPath, 'utf8') !== list;
+
+  if (check) {
+    if (changed.length > 0 || stale.length > 0 || listChanged) {
+      console.error(`papers/ or data/paper-pages.json is out of date (${changed.length} changed, ${stale.length} removed); run node scripts/build-paper-pages.js`);
+      process.exitCode = 1;
+    } else {
+      console.log('papers/ is up to date');
+    }
+    return;
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  changed.forEach(([name, content]) => fs.writeFileSync(path.join(outputDir, name), content));
+  // Pages of papers that were removed or merged into their published version
+  stale.forEach(name => fs.unlinkSync(path.join(outputDir, name)));
+  if (listChanged) fs.writeFileSync(listPath, list);
+  console.log(`Wrote ${changed.length} of ${pages.size} paper pages, removed ${stale.length}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error building paper pages:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Write sw-manifest.js, the list of files the service worker (sw.js) precaches
+ * and a version hash of their content. Run it after changing any page, css/,
+ * js/, data/, papers/ or feeds/ file (last, after the other build scripts); a new version makes browsers install the new files and
+ * drop the old cache.
+ *
+ * Usage:
+ *   node scripts/build-sw-manifest.js           # write sw-manifest.js
+ *   node scripts/build-sw-manifest.js --check   # exit 1 if sw-manifest.js is out of date
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const manifestPath = path.join(root, 'sw-manifest.js');
+
+// Page shells at the site root, the directories they load at runtime, and
+// the generated paper pages and feeds
+const PRECACHE_DIRS = ['css', 'js', 'data', 'papers', 'feeds'];
+const EXTRA_FILES = ['images/site/space.png'];
+
+/**
+ * Files to precache, relative to the site root
+ * @returns {Array<string>} Paths in a stable order
+ */
+function listFiles() {
+  const pages = fs.readdirSync(root).filter(name => name.endsWith('.html'));
+  const assets = PRECACHE_DIRS.flatMap(dir => fs.readdirSync(path.join(root, dir))
+    .filter(name => fs.statSync(path.join(root, dir, name)).isFile())
+    .map(name => `${dir}/${name}`));
+  return [...pages, ...assets, ...EXTRA_FILES].sort();
+}
+
+/**
+ * Generate the manifest script
+ * @returns {string} Content of sw-manifest.js
+ */
+function buildManifest() {
+  const files = listFiles();
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => {
+    hash.update(file);
+    hash.update(fs.readFileSync(path.join(root, file)));
+  });
+  const manifest = {
+    version: hash.digest('hex').slice(0, 12),
+    files: ['./', ...files]
+  };
+  return '// Generated by scripts/build-sw-manifest.js; do not edit by hand\n' +
+    `self.SW_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+}
+
+function main() {
+  const content = buildManifest();
+  const current = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : '';
+
+  if (process.argv.includes('--check')) {
+    if (content !== current) {
+      console.error('sw-manifest.js is out of date; run node scripts/build-sw-manifest.js');
+      process.exitCode = 1;
+    } else {
+      console.log('sw-manifest.js is up to date');
+    }
+    return;
+  }
+
+  fs.writeFileSync(manifestPath, content);
+  console.log(`Wrote sw-manifest.js (${content.match(/"version": "(\w+)"/)[1]})`);
+}
+
+main();
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Move per-paper metadata between data/publication-config.json and x- fields
+ * in data/publications.bib (see js/publication-metadata.js for the field mapping)
+ *
+ * Usage:
+ *   node scripts/migrate-publication-metadata.js --to-bib             # preview
+ *   node scripts/migrate-publication-metadata.js --to-bib --write     # update both files
+ *   node scripts/migrate-publication-metadata.js --to-config --write
+ *
+ * Only the x- field lines of the entries are added or removed; the rest of the
+ * bib is kept as written, so --to-bib followed by --to-config restores both
+ * files. Config values the bib cannot hold exactly (such as a keywords string,
+ * which would come back as a list) stay in the config.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const bibPath = path.join(root, 'data/publications.bib');
+const configPath = path.join(root, 'data/publication-config.json');
+
+// The site modules are browser scripts that reference each other as globals
+global.BibtexParser = require('../js/bibtex-parser.js');
+const PublicationMetadata = require('../js/publication-metadata.js');
+
+/**
+ * Serialize the config like the hand-written file: two-space indent,
+ * lists of plain values on one line, no trailing newline
+ * @param {Object} config Config object
+ * @returns {string} JSON text
+ */
+function formatConfig(config) {
+  return JSON.stringify(config, null, 2)
+    .replace(/\[\n\s+([^[\]{}]*?)\n\s*\]/g, (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const direction = args.includes('--to-bib') ? 'bib' : args.includes('--to-config') ? 'config' : null;
+  if (!direction) {
+    console.error('Usage: node scripts/migrate-publication-metadata.js --to-bib|--to-config [--write]');
+    process.exitCode = 2;
+    return;
+  }
+
+  const bibContent = fs.readFileSync(bibPath, 'utf8');
+  const publicationConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const result = direction === 'bib'
+    ? PublicationMetadata.moveToBib(bibContent, publicationConfig)
+    : PublicationMetadata.moveToConfig(bibContent, publicationConfig);
+
+  const target = direction === 'bib' ? 'publications.bib' : 'publication-config.json';
+  console.log(`${result.moved.length} entries to move into ${target}${result.moved.length ? `: ${result.moved.join(', ')}` : ''}`);
+
+  if (!args.includes('--write')) {
+    console.log('Preview only; pass --write to update the files.');
+    return;
+  }
+  fs.writeFileSync(bibPath, result.bib);
+  fs.writeFileSync(configPath, formatConfig(result.config));
+  console.log('Updated data/publications.bib and data/publication-config.json');
+}
+
+main();
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Pre-render the content that pages otherwise build in the browser from data/
+ * (news and selected publications on index.html, the full list on
+ * publications.html, the members on group.html), so it is visible without
+ * JavaScript and to crawlers. The renderers are the same ones the pages use.
+ * The schema.org JSON-LD the page scripts inject (see StructuredData) is
+ * written into <head> as well.
+ *
+ * Each filled container gets data-prerendered="<hash of its markup>"; the page
+ * scripts keep the markup when they would render the same thing, and render
+ * again when the data changed after the last run (see HtmlTemplate.hydrate).
+ * Expired news items are left out as of the local date it runs (the date the
+ * page uses, see NewsFeed.getToday), so rerun it when an item's "expires" date
+ * has passed (the page hides them either way).
+ * Run it after changing data/, then node scripts/build-sw-manifest.js.
+ *
+ * Usage:
+ *   node scripts/prerender.js           # update the pages
+ *   node scripts/prerender.js --check   # exit 1 if a page is out of date
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+
+// The site modules are browser scripts that reference each other as globals
+global.HtmlTemplate = require('../js/html-template.js');
+global.BibtexParser = require('../js/bibtex-parser.js');
+global.PublicationMetadata = require('../js/publication-metadata.js');
+global.VenueRegistry = require('../js/venue-registry.js');
+global.PublicationVersions = require('../js/publication-versions.js');
+global.PublicationAuthors = require('../js/publication-authors.js');
+global.PublicationSort = require('../js/publication-sort.js');
+global.CitationFormatter = require('../js/citation-formatter.js');
+global.PublicationRenderer = require('../js/publication-renderer.js');
+const StructuredData = require('../js/structured-data.js');
+const NewsFeed = require('../js/news.js');
+const GroupMembers = require('../js/group.js');
+
+/**
+ * Read and parse a JSON data file
+ * @param {string} file Path relative to the site root
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+/**
+ * Parse the publications the way publications.js does
+ * @returns {Object} {entries, publicationConfig, renderer}
+ */
+function loadPublications() {
+  const parser = new BibtexParser();
+  parser.parse(fs.readFileSync(path.join(root, 'data/publications.bib'), 'utf8'));
+  const coauthorsData = readJson('data/coauthor.json');
+  VenueRegistry.active = new VenueRegistry(readJson('data/venues.json'));
+
+  const sorted = parser.sortByYear();
+  const merged = PublicationMetadata.merge(sorted, readJson('data/publication-config.json'));
+  const { entries, publicationConfig } = PublicationVersions.link(sorted, merged);
+  // Written by scripts/build-paper-pages.js, which runs first
+  const paperPages = new Set(readJson('data/paper-pages.json'));
+  return { entries, publicationConfig, renderer: new PublicationRenderer({ publicationConfig, coauthorsData, paperPages }) };
+}
+
+/**
+ * Replace the content of the element with the given id, and mark it prerendered
+ * @param {string} page Page markup
+ * @param {string} id Element id
+ * @param {SafeHtml} template Content
+ * @returns {string} Updated page markup
+ */
+function fillElement(page, id, template) {
+  const open = new RegExp(`<(\\w+)([^>]*\\sid="${id}"[^>]*)>`).exec(page);
+  if (!open) {
+    throw new Error(`Element #${id} not found`);
+  }
+  const tag = open[1];
+  const contentStart = open.index + open[0].length;
+
+  // Find the matching closing tag, counting nested elements with the same name
+  const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  tags.lastIndex = contentStart;
+  let depth = 1;
+  let match;
+  while (depth > 0 && (match = tags.exec(page))) {
+    depth += match[1] ? -1 : 1;
+  }
+  if (depth > 0) {
+    throw new Error(`Element #${id} is not closed`);
+  }
+
+  const markup = HtmlTemplate.format(template);
+  const attributes = open[2].replace(/\s+data-prerendered="[^"]*"/, '');
+  const indent = page.slice(page.lastIndexOf('\n', open.index) + 1, open.index);
+  return page.slice(0, open.index) +
+    `<${tag}${attributes} data-prerendered="${HtmlTemplate.hash(markup)}">\n${markup}\n${indent}` +
+    page.slice(match.index);
+}
+
+/**
+ * Add or replace a JSON-LD script at the end of <head>
+ * @param {string} page Page markup
+ * @param {string} id Script id
+ * @param {Object} data JSON-LD document
+ * @returns {string} Updated page markup
+ */
+function fillStructuredData(page, id, data) {
+  const script = StructuredData.toScript(id, data);
+  const existing = new RegExp(`<script type="application/ld\\+json" id="${id}">[\\s\\S]*?</script>`);
+  if (existing.test(page)) {
+    return page.replace(existing, () => script);
+  }
+  return page.replace('</head>', () => `    ${script}\n</head>`);
+}
+
+/**
+ * Content of each page, by element id
+ * @returns {Object<string, Object<string, SafeHtml>>} Page file -> id -> content
+ */
+function renderPages() {
+  const { entries, publicationConfig, renderer } = loadPublications();
+
+  const news = readJson('data/news.json');
+  const citeKeys = new Set(entries.map(pub => pub.citeKey));
+  const unknown = (news.news || []).flatMap(item => item.papers || []).filter(citeKey => !citeKeys.has(citeKey));
+  if (unknown.length > 0) {
+    console.warn(`News items link to papers without a page: ${unknown.join(', ')}`);
+  }
+
+  const index = { 'news-scroll': NewsFeed.renderNews(news, NewsFeed.getToday()) };
+  const sections = PublicationRenderer.getIndexSections(entries, publicationConfig);
+  Object.entries(PublicationRenderer.INDEX_SECTIONS).forEach(([section, { container }]) => {
+    index[container] = renderer.renderIndexSection(sections[section], section);
+  });
+
+  // The default view of publications.html: everything, newest first, by year
+  const sorted = PublicationSort.sort(entries, 'date', { publicationConfig });
+  const publications = {
+    'publications-container': renderer.renderGroups(PublicationSort.group(sorted, 'year', publicationConfig))
+  };
+
+  const members = readJson('data/members.json');
+  const group = {};
+  Object.entries(GroupMembers.SECTIONS).forEach(([section, { container }]) => {
+    group[container] = GroupMembers.renderSection(members, section);
+  });
+
+  return { 'index.html': index, 'publications.html': publications, 'group.html': group };
+}
+
+/**
+ * JSON-LD of each page, by script id, as the page scripts inject it
+ * @returns {Object<string, Object<string, Object>>} Page file -> id -> document
+ */
+function describePages() {
+  const { entries, publicationConfig } = loadPublications();
+  const site = readJson('data/site.json');
+  const describe = pubs => StructuredData.graph(pubs.map(pub => StructuredData.article(pub, publicationConfig, site)));
+  const owner = StructuredData.graph([StructuredData.person(site), StructuredData.lab(site)]);
+  const news = NewsFeed.getVisibleNews(readJson('data/news.json'), NewsFeed.getToday());
+
+  return {
+    'index.html': {
+      'ld-person': owner,
+      'ld-news': StructuredData.graph(news.map(item => StructuredData.newsItem(item, site))),
+      'ld-publications': describe(Object.values(PublicationRenderer.getIndexSections(entries, publicationConfig)).flat())
+    },
+    'publications.html': {
+      'ld-person': owner,
+      'ld-publications': describe(entries)
+    },
+    'group.html': {
+      'ld-person': owner,
+      'ld-members': StructuredData.graph(StructuredData.members(readJson('data/members.json'), site))
+    }
+  };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const outdated = [];
+
+  const descriptions = describePages();
+
+  Object.entries(renderPages()).forEach(([file, elements]) => {
+    const current = fs.readFileSync(path.join(root, file), 'utf8');
+    const filled = Object.entries(elements).reduce((page, [id, template]) => fillElement(page, id, template), current);
+    const content = Object.entries(descriptions[file])
+      .reduce((page, [id, data]) => fillStructuredData(page, id, data), filled);
+    if (content === current) return;
+    outdated.push(file);
+    if (!check) {
+      fs.writeFileSync(path.join(root, file), content);
+    }
+  });
+
+  if (check) {
+    if (outdated.length > 0) {
+      console.error(`Out of date: ${outdated.join(', ')}; run node scripts/prerender.js`);
+      process.exitCode = 1;
+    } else {
+      console.log('Pre-rendered pages are up to date');
+    }
+    return;
+  }
+  console.log(outdated.length > 0 ? `Updated ${outdated.join(', ')}` : 'Pre-rendered pages are up to date');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Error pre-rendering pages:', error);
+  process.exitCode = 1;
+}
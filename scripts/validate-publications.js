@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Validate data/publications.bib against data/publication-config.json and data/coauthor.json
+ *
+ * Usage:
+ *   node scripts/validate-publications.js          # human-readable report
+ *   node scripts/validate-publications.js --json   # structured report
+ *
+ * Exits with status 1 when the report contains errors, so it can run in CI or
+ * a pre-commit hook. The validator's own tests are in test/ (node --test).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+
+// The site modules are browser scripts that reference each other as globals
+global.BibtexParser = require('../js/bibtex-parser.js');
+global.PublicationSearch = require('../js/publication-search.js');
+global.PublicationMetadata = require('../js/publication-metadata.js');
+const VenueRegistry = require('../js/venue-registry.js');
+const PublicationValidator = require('../js/publication-validator.js');
+
+/**
+ * Read and parse a JSON data file
+ * @param {string} file Path relative to the site root
+ * @returns {Object} Parsed JSON
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+async function main() {
+  const parser = new BibtexParser();
+  const entries = parser.parse(fs.readFileSync(path.join(root, 'data/publications.bib'), 'utf8'));
+
+  const report = await PublicationValidator.validate({
+    entries,
+    parserErrors: parser.getErrors(),
+    publicationConfig: readJson('data/publication-config.json'),
+    coauthorsData: readJson('data/coauthor.json'),
+    venueRegistry: new VenueRegistry(readJson('data/venues.json')),
+    fileExists: file => fs.existsSync(path.join(root, decodeURI(file)))
+  });
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(PublicationValidator.formatReport(report));
+  }
+  process.exitCode = report.counts.error > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('Error validating publications:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+// Generated by scripts/build-sw-manifest.js; do not edit by hand
+self.SW_MANIFEST = {
+  "version": "447e6812da80",
+  "files": [
+    "./",
+    "css/gallery.css",
+    "css/group.css",
+    "css/main.css",
+    "css/openings.css",
+    "css/publications.css",
+    "data/coauthor.json",
+    "data/gallery.json",
+    "data/members.json",
+    "data/news.json",
+    "data/paper-pages.json",
+    "data/projects.json",
+    "data/publication-config.json",
+    "data/publication-dates.json",
+    "data/publications.bib",
+    "data/site.json",
+    "data/venues.json",
+    "feeds/atom.xml",
+    "feeds/feed.json",
+    "feeds/rss.xml",
+    "gallery.html",
+    "group.html",
+    "images/site/space.png",
+    "index.html",
+    "js/animations.js",
+    "js/bibtex-parser.js",
+    "js/citation-formatter.js",
+    "js/coauthor-graph.js",
+    "js/data-loader.js",
+    "js/feed-formatter.js",
+    "js/footer.js",
+    "js/gallery.js",
+    "js/group.js",
+    "js/html-template.js",
+    "js/navigation.js",
+    "js/news.js",
+    "js/projects.js",
+    "js/publication-authors.js",
+    "js/publication-facets.js",
+    "js/publication-metadata.js",
+    "js/publication-renderer.js",
+    "js/publication-search.js",
+    "js/publication-sort.js",
+    "js/publication-stats.js",
+    "js/publication-validator.js",
+    "js/publication-versions.js",
+    "js/publications.js",
+    "js/structured-data.js",
+    "js/venue-registry.js",
+    "openings.html",
+    "papers/chen2018facesketch.html",
+    "papers/chen2018pyramid.html",
+    "papers/chen2021hdrvideo.html",
+    "papers/chen2021psfrgan.html",
+    "papers/chen2021sparnet.html",
+    "papers/chen2022femasr.html",
+    "papers/chen2023semisupervised.html",
+    "papers/chen2024enhancing.html",
+    "papers/chen2024iter.html",
+    "papers/chen2024qground.html",
+    "papers/chen2024topiq.html",
+    "papers/hao2022unified.html",
+    "papers/hou2023transparent.html",
+    "papers/lan2024clearclip.html",
+    "papers/lan2024proxyclip.html",
+    "papers/lan2025reimagining.html",
+    "papers/lan2025text4segpp.html",
+    "papers/li2020dfdnet.html",
+    "papers/li2022redegnet.html",
+    "papers/li2024continual.html",
+    "papers/li2024grefine.html",
+    "papers/li20252dgaussiansplattingsemantic.html",
+    "papers/li2025denoised.html",
+    "papers/li2025gsmorph.html",
+    "papers/liao2022tpqi.html",
+    "papers/liu2016starnet.html",
+    "papers/liu2018charnet.html",
+    "papers/liu2018safe.html",
+    "papers/mi2025mvqa.html",
+    "papers/ning2023mimo.html",
+    "papers/sun2026prompt.html",
+    "papers/wu2022fastvqa.html",
+    "papers/wu2023buonavista.html",
+    "papers/wu2023discovqa.html",
+    "papers/wu2023dover.html",
+    "papers/wu2023explainable.html",
+    "papers/wu2023neighbourhood.html",
+    "papers/wu2024qalign.html",
+    "papers/wu2024qbench.html",
+    "papers/wu2024qinstruct.html",
+    "papers/wu2024t2iscorer.html",
+    "papers/wu2024towards.html",
+    "papers/xu2024local.html",
+    "papers/yang2022s3nerf.html",
+    "papers/yang2023deepface.html",
+    "papers/yao2024combining.html",
+    "papers/zhang2024lmmpcqa.html",
+    "projects.html",
+    "publications.html"
+  ]
+};
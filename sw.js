@@ -0,0 +1,153 @@
+/**
+ * Service Worker
+ * Keeps the site usable offline and makes repeat visits instant:
+ *
+ * - Pages, paper pages, feeds, css/, js/ and data/ listed in sw-manifest.js are
+ *   precached when the worker installs, in a cache named after the manifest
+ *   version; older versions are deleted when a new worker activates
+ * - data/ is network-first: DataLoader revalidates it with ETags itself, so
+ *   its requests must reach the server; the cached copy is the offline fallback
+ * - Other same-origin pages, scripts and styles are served stale-while-revalidate
+ * - Images, and styles/fonts from CDNs, are cached the first time they are shown
+ * - When a request fails and a cached copy is served, the page is told with a
+ *   { type: 'offline' } message (shown by footer.js), and with { type: 'online' }
+ *   when a later request reaches the network again
+ */
+importScripts('sw-manifest.js');
+
+const { version, files } = self.SW_MANIFEST;
+const SITE_CACHE = `site-${version}`;
+// Runtime caches are kept across versions
+const IMAGE_CACHE = 'site-images';
+const RUNTIME_CACHE = 'site-runtime';
+// Data files, relative to the worker's scope
+const DATA_PATH = new URL('data/', self.registration.scope).pathname;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SITE_CACHE)
+      // Bypass the HTTP cache so the new version really gets the new files
+      .then(cache => cache.addAll(files.map(file => new Request(file, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('site-') && ![SITE_CACHE, IMAGE_CACHE, RUNTIME_CACHE].includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.destination === 'image' && url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith(DATA_PATH)) {
+    event.respondWith(networkFirst(event, SITE_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SITE_CACHE));
+  } else if (request.destination === 'style' || request.destination === 'font') {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
+});
+
+/**
+ * Tell the page that made a request whether it is seeing cached content
+ * ("offline") or the request reached the network ("online")
+ * @param {FetchEvent} event Fetch event
+ * @param {string} type "offline" or "online"
+ */
+async function notifyClient(event, type) {
+  const client = await self.clients.get(event.clientId || event.resultingClientId);
+  if (client) {
+    client.postMessage({ type });
+  }
+}
+
+/**
+ * Answer from the cache (if possible) and update the cache from the network
+ * @param {FetchEvent} event Fetch event
+ * @param {string} cacheName Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  // Pages are cached without their query (publications.html?author=... uses publications.html)
+  const isPage = request.mode === 'navigate';
+  const cached = await cache.match(request, { ignoreSearch: isPage, ignoreVary: true });
+
+  const network = fetch(request).then(response => {
+    // Cross-origin styles without CORS come back opaque (status 0); they are still usable
+    if (response.ok || response.type === 'opaque') {
+      const key = isPage ? new URL(request.url).pathname : request;
+      cache.put(key, response.clone());
+    }
+    return response;
+  });
+  event.waitUntil(network.then(() => notifyClient(event, 'online'), () => notifyClient(event, 'offline')));
+
+  if (cached) {
+    return cached;
+  }
+  try {
+    return await network;
+  } catch (error) {
+    // Unknown page while offline: show the home page rather than the browser error
+    const fallback = isPage ? await cache.match('index.html') : null;
+    if (fallback) return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Answer from the network and keep a copy; the cached copy is used only when
+ * the request fails. Conditional requests are passed through, so a 304 goes
+ * back to the page as it is.
+ * @param {FetchEvent} event Fetch event
+ * @param {string} cacheName Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(event, cacheName) {
+  const request = event.request;
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) {
+      cache.put(new URL(request.url).pathname, response.clone());
+    }
+    event.waitUntil(notifyClient(event, 'online'));
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+    if (!cached) throw error;
+    event.waitUntil(notifyClient(event, 'offline'));
+    return cached;
+  }
+}
+
+/**
+ * Answer from the cache, fetching and caching on the first request
+ * @param {Request} request Request
+ * @param {string} cacheName Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
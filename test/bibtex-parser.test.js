@@ -0,0 +1,26 @@
+/**
+ * Tests of BibtexParser (js/bibtex-parser.js)
+ *
+ * Usage:
+ *   node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BibtexParser = require('../js/bibtex-parser.js');
+
+test('a type field does not replace the entry type', () => {
+  const parser = new BibtexParser();
+  const [entry] = parser.parse(`@techreport{smith2020report,
+  title={A Report},
+  author={Jane Smith},
+  institution={Some University},
+  type={Oral},
+  year={2020}
+}
+`);
+  assert.equal(entry.type, 'techreport');
+  assert.equal(entry.citeKey, 'smith2020report');
+  assert.equal(entry.raw.type, 'Oral');
+  assert.deepEqual(parser.filterByType('techreport').map(pub => pub.citeKey), ['smith2020report']);
+});
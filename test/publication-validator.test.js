@@ -0,0 +1,131 @@
+/**
+ * Tests of PublicationValidator (js/publication-validator.js)
+ *
+ * Usage:
+ *   node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The site modules are browser scripts that reference each other as globals
+global.BibtexParser = require('../js/bibtex-parser.js');
+global.PublicationSearch = require('../js/publication-search.js');
+global.PublicationMetadata = require('../js/publication-metadata.js');
+const PublicationValidator = require('../js/publication-validator.js');
+
+const VALID_ENTRY = `@inproceedings{chen2021psfrgan,
+  title={Progressive Semantic-Aware Style Transformation for Blind Face Restoration},
+  author={Chaofeng Chen and Xiaoming Li and Lingbo Yang and Xianhui Lin and Lei Zhang and Kwan-Yee K. Wong},
+  booktitle={IEEE Conference on Computer Vision and Pattern Recognition (CVPR)},
+  year={2021}
+}
+`;
+
+/**
+ * Validate a bib text with the given config
+ * @param {string} bib BibTeX text
+ * @param {Object} options Other validate() data
+ * @returns {Promise<Object>} Report
+ */
+function validate(bib, options = {}) {
+  const parser = new BibtexParser();
+  const entries = parser.parse(bib);
+  return PublicationValidator.validate({
+    entries,
+    parserErrors: parser.getErrors(),
+    publicationConfig: { publications: {} },
+    coauthorsData: {},
+    ...options
+  });
+}
+
+/**
+ * Issues of a report with the given code
+ * @param {Object} report Report
+ * @param {string} code Issue code
+ * @returns {Array<Object>} Issues
+ */
+function issuesOf(report, code) {
+  return report.issues.filter(issue => issue.code === code);
+}
+
+test('a valid entry has no issues', async () => {
+  const report = await validate(VALID_ENTRY);
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.entries, 1);
+});
+
+test('reports duplicate citeKeys with the line of the first one', async () => {
+  const report = await validate(VALID_ENTRY + VALID_ENTRY);
+  const [issue] = issuesOf(report, 'duplicate-citekey');
+  assert.equal(issue.level, 'error');
+  assert.equal(issue.citeKey, 'chen2021psfrgan');
+  assert.equal(issue.line, 7);
+  assert.match(issue.message, /first defined on line 1/);
+});
+
+test('reports missing required fields', async () => {
+  const report = await validate('@article{nojournal,\n  title={Title},\n  author={A B},\n  year={2020}\n}\n');
+  const [issue] = issuesOf(report, 'missing-field');
+  assert.equal(issue.level, 'error');
+  assert.match(issue.message, /@article\{nojournal\} is missing "journal"/);
+});
+
+test('reports config keys without a bib entry and suggests the closest citeKey', async () => {
+  const report = await validate(VALID_ENTRY, {
+    publicationConfig: { publications: { chen2021psfrgna: { select: true } } }
+  });
+  const [issue] = issuesOf(report, 'unknown-config-key');
+  assert.equal(issue.level, 'error');
+  assert.match(issue.message, /did you mean "chen2021psfrgan"\?/);
+});
+
+test('reports image and pdf files that do not exist', async () => {
+  const report = await validate(VALID_ENTRY, {
+    publicationConfig: {
+      publications: {
+        chen2021psfrgan: { image: 'images/publications/missing.png', pdf: 'https://arxiv.org/abs/2009.08709' }
+      }
+    },
+    fileExists: path => path !== 'images/publications/missing.png'
+  });
+  const issues = issuesOf(report, 'missing-file');
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /"chen2021psfrgan"\.image points to missing file "images\/publications\/missing\.png"/);
+});
+
+test('reports co-first and corresponding authors who are not authors of the paper', async () => {
+  const report = await validate(VALID_ENTRY, {
+    publicationConfig: {
+      publications: {
+        chen2021psfrgan: { co_first_authors: ['Chaofeng Chen', 'Xiaoming Li'], corresponding_authors: ['Jane Doe'] }
+      }
+    }
+  });
+  const issues = issuesOf(report, 'unknown-author');
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /corresponding_authors lists "Jane Doe"/);
+});
+
+test('reports x- fields whose value does not decode', async () => {
+  const bib = VALID_ENTRY.replace('year={2021}', 'year={2021},\n  x-select = {maybe},\n  x-tier = {high}');
+  const report = await validate(bib);
+  const issues = issuesOf(report, 'invalid-bib-value');
+  assert.deepEqual(issues.map(issue => issue.level), ['error', 'error']);
+  assert.match(issues[0].message, /"x-select = \{maybe\}", which is not a valid boolean/);
+  assert.match(issues[1].message, /"x-tier = \{high\}", which is not a valid number/);
+});
+
+test('reports citation counts that are not numbers', async () => {
+  const report = await validate(VALID_ENTRY, {
+    publicationConfig: { publications: { chen2021psfrgan: { citations: 'many' } } }
+  });
+  const [issue] = issuesOf(report, 'invalid-config-value');
+  assert.match(issue.message, /"chen2021psfrgan"\.citations should be a number/);
+});
+
+test('accepts x- fields with valid values', async () => {
+  const bib = VALID_ENTRY.replace('year={2021}', 'year={2021},\n  x-select = {yes},\n  x-tier = {1}');
+  const report = await validate(bib);
+  assert.deepEqual(report.issues, []);
+});